@@ -0,0 +1,157 @@
+// Payment accounts for DailyTrack
+//
+// Expenses are paid from an account; `expense.payment` holds the account id.
+// Each account has its own currency and an opening balance:
+//
+//   { id, name: 'Visa', type: 'credit', currency: 'USD',
+//     openingBalance: -120, openingDate: '2026-01-01', statementDay: 25 }
+//
+// Balances are signed: money available is positive and a credit card's
+// outstanding debt is negative. Expenses dated on or after `openingDate`
+// lower the balance; transfers move money between accounts, e.g. paying off
+// a credit card from a debit account:
+//
+//   { id, from: 'checking', to: 'visa', amount: 300, date, note }
+//
+// `amount` is in the sending account's currency. `statementDay` is the day
+// of the month a credit card statement closes.
+import { convertAmount, getDefaultCurrency } from './currency.js';
+import { addDays, addMonths, getToday, normalizeDate } from './dates.js';
+
+export const ACCOUNT_TYPES = {
+  cash: 'Cash',
+  debit: 'Debit Card / Bank',
+  credit: 'Credit Card'
+};
+
+// Payment labels used before accounts existed, and the account each became
+export const LEGACY_PAYMENT_ACCOUNTS = {
+  cash: { name: 'Cash', type: 'cash' },
+  card: { name: 'Card', type: 'debit' },
+  digital: { name: 'Digital Wallet', type: 'debit' },
+  bank: { name: 'Bank Account', type: 'debit' }
+};
+
+const DEFAULT_STATEMENT_DAY = 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export function normalizeAccount(account) {
+  const type = ACCOUNT_TYPES[account.type] ? account.type : 'cash';
+  const statementDay = parseInt(account.statementDay, 10);
+
+  return {
+    ...account,
+    name: String(account.name || '').trim() || ACCOUNT_TYPES[type],
+    type,
+    currency: account.currency || getDefaultCurrency(),
+    openingBalance: Number(account.openingBalance) || 0,
+    openingDate: normalizeDate(account.openingDate) || getToday(),
+    // Days past 28 would skip February
+    statementDay: type === 'credit'
+      ? Math.min(28, Math.max(1, statementDay || DEFAULT_STATEMENT_DAY))
+      : null
+  };
+}
+
+export function createLegacyAccount(payment, currency, openingDate) {
+  const legacy = LEGACY_PAYMENT_ACCOUNTS[payment] || { name: payment, type: 'cash' };
+  return normalizeAccount({ id: payment, ...legacy, currency, openingBalance: 0, openingDate });
+}
+
+// Validates a transfer; throws on a bad one
+export function normalizeTransfer(transfer) {
+  const amount = Math.round((Number(transfer.amount) || 0) * 100) / 100;
+  if (!transfer.from || !transfer.to) throw new Error('Choose both accounts');
+  if (transfer.from === transfer.to) throw new Error('Choose two different accounts');
+  if (amount <= 0) throw new Error('Enter an amount greater than zero');
+
+  return {
+    ...transfer,
+    amount,
+    date: normalizeDate(transfer.date) || getToday(),
+    note: String(transfer.note || '').trim()
+  };
+}
+
+// Every change to the account up to `date`, oldest first, with the balance
+// after each one:
+//   [{ date, kind: 'expense' | 'transfer', record, amount, balance }]
+// Expenses in a currency with no known rate to the account's currency are
+// skipped and counted in `unconverted` on the returned array.
+export function getAccountLedger(account, expenses, transfers = [], date = getToday()) {
+  const rows = [];
+  let unconverted = 0;
+  const inRange = (record) => record.date >= account.openingDate && record.date <= date;
+
+  expenses.filter(expense => expense.payment === account.id && inRange(expense)).forEach(expense => {
+    const amount = convertAmount(Number(expense.amount) || 0, expense.currency || getDefaultCurrency(), account.currency, expense.date);
+    if (amount === null) {
+      unconverted++;
+      return;
+    }
+    rows.push({ date: expense.date, kind: 'expense', record: expense, amount: -amount });
+  });
+
+  transfers.filter(inRange).forEach(transfer => {
+    if (transfer.from === account.id) {
+      rows.push({ date: transfer.date, kind: 'transfer', record: transfer, amount: -transfer.amount });
+    } else if (transfer.to === account.id) {
+      const amount = convertAmount(transfer.amount, transfer.currency || account.currency, account.currency, transfer.date);
+      if (amount === null) {
+        unconverted++;
+        return;
+      }
+      rows.push({ date: transfer.date, kind: 'transfer', record: transfer, amount });
+    }
+  });
+
+  let balance = account.openingBalance;
+  const ledger = rows
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(row => {
+      balance = round(balance + row.amount);
+      return { ...row, amount: round(row.amount), balance };
+    });
+  ledger.unconverted = unconverted;
+  return ledger;
+}
+
+export function getAccountBalance(account, expenses, transfers = [], date = getToday()) {
+  const ledger = getAccountLedger(account, expenses, transfers, date);
+  return ledger.length ? ledger[ledger.length - 1].balance : account.openingBalance;
+}
+
+// The { start, end } of the credit card statement that includes `date`.
+// A statement closes on `statementDay` and the next one opens the day after.
+export function getStatementPeriod(account, date = getToday()) {
+  const day = String(account.statementDay || DEFAULT_STATEMENT_DAY).padStart(2, '0');
+  let end = `${date.slice(0, 7)}-${day}`;
+  if (end < date) end = addMonths(end, 1);
+  return { start: addDays(addMonths(end, -1), 1), end };
+}
+
+// One credit card statement:
+//   { start, end, previousBalance, charges, payments, closingBalance, entries }
+// `charges` and `payments` are positive totals; balances are signed like
+// the account's.
+export function getCreditStatement(account, expenses, transfers = [], date = getToday()) {
+  const { start, end } = getStatementPeriod(account, date);
+  const ledger = getAccountLedger(account, expenses, transfers, end);
+  const before = ledger.filter(row => row.date < start);
+  const entries = ledger.filter(row => row.date >= start);
+
+  const previousBalance = before.length ? before[before.length - 1].balance : account.openingBalance;
+  const charges = entries.filter(row => row.amount < 0).reduce((sum, row) => sum - row.amount, 0);
+  const payments = entries.filter(row => row.amount > 0).reduce((sum, row) => sum + row.amount, 0);
+
+  return {
+    start,
+    end,
+    previousBalance,
+    charges: round(charges),
+    payments: round(payments),
+    closingBalance: entries.length ? entries[entries.length - 1].balance : previousBalance,
+    entries
+  };
+}
@@ -0,0 +1,82 @@
+// Sync server connection for DailyTrack
+//
+// Sync, cloud backups and push subscriptions talk to a server implementing
+// the API in server/API.md. Its base URL and access token come from the
+// `syncEndpoint` and `syncToken` settings (see repository.applyStoredState);
+// an empty endpoint turns syncing off.
+
+let endpoint = '';
+let token = '';
+
+// 'https://sync.example.com/' -> 'https://sync.example.com'; null when the
+// URL is not http(s)
+export function normalizeEndpoint(url) {
+  const text = String(url || '').trim().replace(/\/+$/, '');
+  if (!text) return '';
+
+  try {
+    return /^https?:$/.test(new URL(text).protocol) ? text : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function setSyncConfig({ syncEndpoint, syncToken } = {}) {
+  endpoint = normalizeEndpoint(syncEndpoint) || '';
+  token = String(syncToken || '').trim();
+  return endpoint;
+}
+
+export function getSyncEndpoint() {
+  return endpoint;
+}
+
+export function isSyncConfigured() {
+  return Boolean(endpoint);
+}
+
+// JSON request against the configured server. Throws when syncing is off,
+// the device is offline or the server answers with an error; the error's
+// `status` holds the HTTP status when there was one. `server` overrides the
+// configured { base, authToken }.
+export async function apiRequest(method, path, data = null, server = {}) {
+  const { base = endpoint, authToken = token } = server;
+  if (!base) {
+    throw new Error('No sync server configured');
+  }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw new Error('Offline - queued for later sync');
+  }
+
+  const options = {
+    method,
+    headers: { 'Content-Type': 'application/json' }
+  };
+  if (authToken) {
+    options.headers.Authorization = `Bearer ${authToken}`;
+  }
+  if (data !== null) {
+    options.body = JSON.stringify(data);
+  }
+
+  const response = await fetch(`${base}${path}`, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const error = new Error(body?.error || `API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return body;
+}
+
+// Server name and API version from GET /api/health; used to test a URL
+// and token before saving them
+export async function checkSyncServer(url, authToken = '') {
+  const base = normalizeEndpoint(url);
+  if (!base) {
+    throw new Error('Enter an http:// or https:// URL');
+  }
+  return await apiRequest('GET', '/api/health', null, { base, authToken: String(authToken).trim() });
+}
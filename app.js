@@ -1,7 +1,14 @@
 // Main DailyTrack application
 import { db } from './db.js';
+import { repository } from './repository.js';
 import { syncManager } from './sync.js';
 import { pushManager } from './push.js';
+import { describeRecurrence, monthlyPositionFor } from './recurrence.js';
+import { getCompletionRatio, getOpenBlockers, getTaskProgress, isTaskBlocked } from './tasks.js';
+import { formatMoney, getExpenseAmount } from './currency.js';
+import { addDays, getToday, isOverdue, toLocalDate } from './dates.js';
+import { getActiveVacation, getStreakUnit, isHabitDue } from './habits.js';
+import { escapeHtml, renderInline } from './markdown.js';
 
 class DailyTrackApp {
   constructor() {
@@ -49,8 +56,11 @@ class DailyTrackApp {
   }
 
   async initCoreModules() {
-    // Initialize database
-    await db.init();
+    // Initialize database and move any legacy localStorage data into it
+    const migrationReport = await repository.init();
+    if (migrationReport) {
+      this.emit('dataMigrated', migrationReport);
+    }
     
     // Initialize sync manager
     await syncManager.init();
@@ -169,12 +179,15 @@ class DailyTrackApp {
     
     // Schedule task reminders
     this.scheduleTaskReminders();
+    
+    // Remind before subscription renewals
+    this.scheduleSubscriptionReminders();
   }
 
   // Data loading methods
   async loadTasks() {
     try {
-      const tasks = await db.getTasks();
+      const tasks = await repository.getTasks();
       this.renderTasks(tasks);
     } catch (error) {
       console.error('Failed to load tasks:', error);
@@ -183,8 +196,11 @@ class DailyTrackApp {
 
   async loadExpenses() {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const expenses = await db.getExpensesByPeriod(today, today);
+      // Recurring charges that came due while the app was closed
+      await repository.materializeRecurringExpenses();
+      
+      const today = getToday();
+      const expenses = await repository.getExpensesByPeriod(today, today);
       this.renderExpenses(expenses);
     } catch (error) {
       console.error('Failed to load expenses:', error);
@@ -193,7 +209,7 @@ class DailyTrackApp {
 
   async loadHabits() {
     try {
-      const habits = await db.getAll('habits');
+      const habits = await repository.getHabits();
       this.renderHabits(habits);
     } catch (error) {
       console.error('Failed to load habits:', error);
@@ -202,9 +218,9 @@ class DailyTrackApp {
 
   async loadJournalEntries() {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = getToday();
       const [year, month] = today.split('-');
-      const entries = await db.getJournalEntriesByMonth(year, month);
+      const entries = await repository.getJournalEntriesByMonth(year, month);
       this.renderJournalEntries(entries);
     } catch (error) {
       console.error('Failed to load journal entries:', error);
@@ -213,10 +229,8 @@ class DailyTrackApp {
 
   async loadSettings() {
     try {
-      const settings = await db.get('settings', 'general');
-      if (settings) {
-        this.applySettings(settings);
-      }
+      const settings = await repository.getSettings();
+      this.applySettings(settings);
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -232,20 +246,20 @@ class DailyTrackApp {
   }
 
   async updateTaskStats() {
-    const tasks = await db.getTasks();
-    const today = new Date().toISOString().split('T')[0];
+    const tasks = await repository.getTasks();
+    const today = getToday();
     
+    // Blocked tasks can't be worked on, so they don't count towards today
     const todayTasks = tasks.filter(task => 
-      !task.dueDate || task.dueDate === today
+      (!task.dueDate || task.dueDate === today) && !isTaskBlocked(task, tasks)
     );
     
-    const completedTasks = todayTasks.filter(task => task.completed).length;
     const pendingTasks = tasks.filter(task => !task.completed).length;
     
-    // Update UI
+    // Update UI - subtasks give partial credit towards the progress bar
     document.getElementById('todayTasks').textContent = todayTasks.length;
     document.getElementById('taskProgress').style.width = 
-      todayTasks.length > 0 ? `${(completedTasks / todayTasks.length) * 100}%` : '0%';
+      `${getCompletionRatio(todayTasks) * 100}%`;
     
     // Update badge
     const taskBadge = document.getElementById('taskBadge');
@@ -258,14 +272,14 @@ class DailyTrackApp {
   }
 
   async updateExpenseStats() {
-    const today = new Date().toISOString().split('T')[0];
-    const expenses = await db.getExpensesByPeriod(today, today);
+    const today = getToday();
+    const expenses = await repository.getExpensesByPeriod(today, today);
     
-    const totalToday = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-    const settings = await db.get('settings', 'general');
-    const dailyBudget = settings?.dailyBudget || 50;
+    const totalToday = expenses.reduce((sum, exp) => sum + (getExpenseAmount(exp) ?? 0), 0);
+    const settings = await repository.getSettings();
+    const dailyBudget = settings.dailyBudget || 50;
     
-    document.getElementById('todayExpenses').textContent = `$${totalToday.toFixed(2)}`;
+    document.getElementById('todayExpenses').textContent = formatMoney(totalToday);
     
     const budgetStatus = document.getElementById('budgetStatus');
     if (totalToday > dailyBudget) {
@@ -278,15 +292,24 @@ class DailyTrackApp {
   }
 
   async updateHabitStats() {
-    const habits = await db.getAll('habits');
-    const longestStreak = Math.max(...habits.map(h => h.currentStreak || 0), 0);
+    // Streaks come back live from the repository, with skipped, frozen and
+    // vacation days already excused
+    const habits = await repository.getHabits();
+    const best = habits.reduce((top, habit) =>
+      (habit.currentStreak || 0) > (top?.currentStreak || 0) ? habit : top
+    , null);
+    const longestStreak = best?.currentStreak || 0;
+    const unit = best ? getStreakUnit(best, longestStreak) : 'day';
+    const vacation = getActiveVacation();
     
     document.getElementById('currentStreak').textContent = longestStreak;
-    document.getElementById('streakCount').textContent = `${longestStreak} day streak`;
+    document.getElementById('streakCount').textContent = vacation
+      ? `${longestStreak} ${unit} streak (paused until ${this.formatDate(vacation.end)})`
+      : `${longestStreak} ${unit} streak`;
   }
 
   async updateJournalStats() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getToday();
     const entry = await db.getJournalEntriesByMonth(
       today.split('-')[0],
       today.split('-')[1]
@@ -298,34 +321,25 @@ class DailyTrackApp {
   }
 
   async calculateJournalStreak() {
-    const entries = await db.getAll('journal');
+    const entries = await repository.getJournalEntries();
     if (entries.length === 0) return 0;
     
     const entryDates = new Set(entries.map(e => e.date).sort());
     const dates = Array.from(entryDates);
     
     let streak = 0;
-    let currentDate = new Date();
-    
-    while (true) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      if (entryDates.has(dateStr)) {
-        streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
-      } else {
-        break;
-      }
+    let dateStr = getToday();
+    
+    while (entryDates.has(dateStr)) {
+      streak++;
+      dateStr = addDays(dateStr, -1);
     }
     
     return streak;
   }
 
   async updateRecentActivity() {
-    const activities = await db.getAll('activityLog');
-    const recent = activities
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 10);
-    
+    const recent = await repository.getActivityLog(10);
     this.renderRecentActivity(recent);
   }
 
@@ -344,7 +358,7 @@ class DailyTrackApp {
     container.innerHTML = '';
     
     tasks.forEach(task => {
-      const element = this.createTaskElement(task);
+      const element = this.createTaskElement(task, tasks);
       container.appendChild(element);
     });
   }
@@ -437,35 +451,62 @@ class DailyTrackApp {
   }
 
   // Element creation methods
-  createTaskElement(task) {
+  createTaskElement(task, tasks = []) {
+    const progress = getTaskProgress(task);
+    const blockers = task.completed ? [] : getOpenBlockers(task, tasks);
     const element = document.createElement('div');
-    element.className = 'task-item';
+    element.className = `task-item ${blockers.length > 0 ? 'blocked' : ''}`;
     element.innerHTML = `
       <div class="task-content">
         <div class="task-header">
           <input type="checkbox" ${task.completed ? 'checked' : ''}>
-          <span class="task-title ${task.completed ? 'completed' : ''}">${task.title}</span>
+          ${blockers.length > 0 ? '<i class="fas fa-lock"></i>' : ''}
+          <span class="task-title ${task.completed ? 'completed' : ''}">${renderInline(task.title)}</span>
         </div>
         <div class="task-meta">
-          ${task.dueDate ? `<span class="due-date">${this.formatDate(task.dueDate)}</span>` : ''}
-          ${task.priority ? `<span class="priority ${task.priority}">${task.priority}</span>` : ''}
+          ${task.dueDate ? `<span class="due-date ${isOverdue(task) ? 'overdue' : ''}">${this.formatDate(task.dueDate)}${task.dueTime ? ` ${escapeHtml(task.dueTime)}` : ''}</span>` : ''}
+          ${task.priority ? `<span class="priority ${escapeHtml(task.priority)}">${escapeHtml(task.priority)}</span>` : ''}
+          ${task.recurrence ? `<span class="recurrence"><i class="fas fa-redo"></i> ${escapeHtml(describeRecurrence(task.recurrence))}</span>` : ''}
+          ${progress.total > 0 ? `<span class="subtask-progress">${progress.done}/${progress.total}</span>` : ''}
+          ${blockers.length > 0 ? `<span class="blocked-by">Blocked by ${blockers.map(blocker => renderInline(blocker.title)).join(', ')}</span>` : ''}
         </div>
+        ${progress.total > 0 ? `
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${progress.ratio * 100}%"></div>
+          </div>
+          <ul class="subtask-list">
+            ${task.subtasks.map(subtask => `
+              <li>
+                <label>
+                  <input type="checkbox" data-subtask-id="${escapeHtml(subtask.id)}" ${subtask.completed ? 'checked' : ''}>
+                  <span class="${subtask.completed ? 'completed' : ''}">${renderInline(subtask.title)}</span>
+                </label>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
       </div>
       <div class="task-actions">
-        <button class="icon-btn edit-task" data-id="${task.id}">
+        <button class="icon-btn edit-task" data-id="${escapeHtml(task.id)}">
           <i class="fas fa-edit"></i>
         </button>
-        <button class="icon-btn delete-task" data-id="${task.id}">
+        <button class="icon-btn delete-task" data-id="${escapeHtml(task.id)}">
           <i class="fas fa-trash"></i>
         </button>
       </div>
     `;
     
     // Add event listeners
-    element.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+    element.querySelector('.task-header input[type="checkbox"]').addEventListener('change', (e) => {
       this.toggleTaskCompletion(task.id, e.target.checked);
     });
     
+    element.querySelectorAll('[data-subtask-id]').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        this.toggleSubtask(task.id, checkbox.dataset.subtaskId, e.target.checked);
+      });
+    });
+    
     element.querySelector('.edit-task').addEventListener('click', () => {
       this.editTask(task.id);
     });
@@ -574,6 +615,12 @@ class DailyTrackApp {
       now.toLocaleDateString('en-US', options);
   }
 
+  applySettings(settings) {
+    if (settings.theme) {
+      this.applyTheme(settings.theme);
+    }
+  }
+
   setupTheme() {
     const savedTheme = localStorage.getItem('theme') || 'auto';
     this.applyTheme(savedTheme);
@@ -721,21 +768,27 @@ class DailyTrackApp {
   // Data methods
   async saveTask() {
     const formData = new FormData(document.getElementById('taskForm'));
+    const existing = formData.get('id') ? await repository.getTask(formData.get('id')) : null;
     const task = {
+      ...existing,
       id: formData.get('id') || Date.now().toString(),
       title: formData.get('title'),
       description: formData.get('description'),
       dueDate: formData.get('dueDate'),
+      dueTime: formData.get('dueDate') && formData.get('dueTime') || null,
       priority: formData.get('priority'),
       category: formData.get('category'),
-      completed: false,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      recurrence: this.getRecurrenceFromForm(formData.get('dueDate')),
+      subtasks: existing?.subtasks || [],
+      blockedBy: Array.from(document.getElementById('taskBlockedBy').selectedOptions, option => option.value),
+      completed: existing?.completed || false,
+      createdAt: existing?.createdAt || new Date().toISOString()
     };
     
     try {
-      await db.update('tasks', task);
-      await syncManager.queueForSync('task', task);
+      // Saved records are unsynced until the next sync uploads them
+      const saved = await repository.saveTask(task);
+      await repository.logActivity(formData.get('id') ? 'Task updated' : 'Task added', saved.title);
       
       this.showToast('Task saved!', 'success');
       this.closeModal(document.getElementById('taskModal'));
@@ -743,21 +796,67 @@ class DailyTrackApp {
       this.updateDashboard();
     } catch (error) {
       console.error('Failed to save task:', error);
-      this.showToast('Failed to save task', 'error');
+      this.showToast(error.cycle ? 'Tasks cannot block each other in a loop' : 'Failed to save task', 'error');
     }
   }
 
-  async toggleTaskCompletion(taskId, completed) {
+  getRecurrenceFromForm(dueDate) {
+    const freq = document.getElementById('taskRepeat')?.value;
+    if (!freq) return null;
+
+    const recurrence = {
+      freq,
+      interval: parseInt(document.getElementById('taskRepeatInterval').value) || 1
+    };
+
+    if (freq === 'weekly') {
+      recurrence.byWeekday = Array.from(
+        document.querySelectorAll('#taskRepeatWeekdays input:checked')
+      ).map(input => parseInt(input.value));
+    }
+
+    if (freq === 'monthly' && dueDate) {
+      const mode = document.getElementById('taskRepeatMonthMode').value;
+      Object.assign(recurrence, monthlyPositionFor(dueDate, mode));
+    }
+
+    const end = document.getElementById('taskRepeatEnd').value;
+    if (end === 'until') {
+      recurrence.until = document.getElementById('taskRepeatUntil').value || null;
+    } else if (end === 'count') {
+      recurrence.count = parseInt(document.getElementById('taskRepeatCount').value) || null;
+    }
+
+    return recurrence;
+  }
+
+  async toggleSubtask(taskId, subtaskId, completed) {
     try {
-      const task = await db.get('tasks', taskId);
+      const { task, unblocked, autoCompleted } = await repository.toggleSubtask(taskId, subtaskId, completed);
       if (task) {
-        task.completed = completed;
-        task.updatedAt = new Date().toISOString();
+        if (autoCompleted) {
+          await repository.logActivity('Task completed', task.title);
+          await this.logUnblocked(unblocked);
+          this.showToast('All items done - task completed!', 'success');
+        }
         
-        await db.update('tasks', task);
-        await syncManager.queueForSync('task', task);
+        this.loadTasks();
+        this.updateDashboard();
+      }
+    } catch (error) {
+      console.error('Failed to toggle subtask:', error);
+    }
+  }
+
+  async toggleTaskCompletion(taskId, completed) {
+    try {
+      const { task, unblocked } = await repository.setTaskCompleted(taskId, completed);
+      if (task) {
+        await repository.logActivity(`Task ${completed ? 'completed' : 'reopened'}`, task.title);
+        await this.logUnblocked(unblocked);
         
         this.showToast(`Task ${completed ? 'completed' : 'reopened'}!`, 'success');
+        this.loadTasks();
         this.updateDashboard();
       }
     } catch (error) {
@@ -765,14 +864,21 @@ class DailyTrackApp {
     }
   }
 
+  async logUnblocked(unblocked) {
+    for (const dependent of unblocked) {
+      await repository.logActivity('Task unblocked', dependent.title);
+    }
+  }
+
   async deleteTask(taskId) {
     if (!confirm('Are you sure you want to delete this task?')) {
       return;
     }
     
     try {
-      await db.delete('tasks', taskId);
-      await syncManager.queueForSync('task-delete', { id: taskId });
+      // The repository leaves a tombstone that the next sync sends
+      await repository.deleteTask(taskId);
+      await repository.logActivity('Task deleted');
       
       this.showToast('Task deleted!', 'success');
       this.loadTasks();
@@ -784,7 +890,7 @@ class DailyTrackApp {
   }
 
   async editTask(taskId) {
-    const task = await db.get('tasks', taskId);
+    const task = await repository.getTask(taskId);
     if (task) {
       this.showTaskModal(task);
     }
@@ -798,7 +904,7 @@ class DailyTrackApp {
     toast.className = `toast toast-${type}`;
     toast.innerHTML = `
       <i class="fas fa-${this.getToastIcon(type)}"></i>
-      <span>${message}</span>
+      <span>${escapeHtml(message)}</span>
     `;
     
     document.getElementById('toastContainer').appendChild(toast);
@@ -825,6 +931,9 @@ class DailyTrackApp {
 
   // Daily tasks
   async dailyCleanup() {
+    // Write today's recurring charges
+    await this.loadExpenses();
+    
     // Archive old data
     await this.archiveOldData();
     
@@ -851,10 +960,7 @@ class DailyTrackApp {
   }
 
   async generateDailyReport() {
-    const today = new Date().toISOString().split('T')[0];
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
+    const yesterdayStr = addDays(getToday(), -1);
     
     // Get yesterday's data
     const tasks = await db.getTasks({ dueDate: yesterdayStr });
@@ -865,7 +971,7 @@ class DailyTrackApp {
       date: yesterdayStr,
       tasksCompleted: tasks.filter(t => t.completed).length,
       tasksTotal: tasks.length,
-      expensesTotal: expenses.reduce((sum, exp) => sum + exp.amount, 0),
+      expensesTotal: expenses.reduce((sum, exp) => sum + (getExpenseAmount(exp) ?? 0), 0),
       expensesCount: expenses.length
     };
     
@@ -880,16 +986,19 @@ class DailyTrackApp {
       pushManager.showTaskReminder(overdueTasks[0]);
     }
     
-    // Check budget
-    const today = new Date().toISOString().split('T')[0];
-    const expenses = await db.getExpensesByPeriod(today, today);
-    const totalToday = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-    const settings = await db.get('settings', 'general');
-    const dailyBudget = settings?.dailyBudget || 50;
-    
-    if (totalToday > dailyBudget * 0.8) {
-      pushManager.showBudgetAlert('Daily Budget', totalToday, dailyBudget);
+    // Longest streak still at risk today
+    const habits = (await repository.getHabits())
+      .sort((a, b) => (b.currentStreak || 0) - (a.currentStreak || 0));
+    const atRisk = habits.find(habit => habit.currentStreak > 0 && isHabitDue(habit));
+    if (atRisk) {
+      pushManager.showStreakReminder(atRisk);
     }
+    
+    // Budget thresholds - each fires once per period
+    const alerts = await repository.checkBudgetAlerts();
+    alerts.forEach(({ budget, status, threshold }) => {
+      pushManager.showBudgetAlert(budget.category || 'all spending', status.spent, status.limit, threshold);
+    });
   }
 
   // Schedule methods
@@ -903,6 +1012,10 @@ class DailyTrackApp {
     pushManager.scheduleTaskReminders();
   }
 
+  scheduleSubscriptionReminders() {
+    pushManager.scheduleSubscriptionReminders();
+  }
+
   // Backup and restore
   async backupData() {
     try {
@@ -914,7 +1027,7 @@ class DailyTrackApp {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `DailyTrack-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `DailyTrack-backup-${getToday()}.json`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -995,17 +1108,14 @@ class DailyTrackApp {
 
   // Utility methods
   formatDate(dateString) {
-    const date = new Date(dateString);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const today = getToday();
     
-    if (date.toDateString() === today.toDateString()) {
+    if (dateString === today) {
       return 'Today';
-    } else if (date.toDateString() === tomorrow.toDateString()) {
+    } else if (dateString === addDays(today, 1)) {
       return 'Tomorrow';
     } else {
-      return date.toLocaleDateString('en-US', {
+      return toLocalDate(dateString).toLocaleDateString('en-US', {
         month: 'short',
         day: 'numeric'
       });
@@ -0,0 +1,105 @@
+// Photo attachments for DailyTrack
+//
+// Receipts and journal pictures are kept offline as Blobs in the
+// `attachments` store, next to a small JPEG thumbnail for lists:
+//
+//   { id, parentType: 'expenses', parentId: '1712345678901',
+//     name: 'receipt.jpg', type: 'image/jpeg', size: 183424,
+//     blob: Blob, thumbnail: Blob, createdAt }
+//
+// `parentType` is the store of the record the photo belongs to. Backups are
+// JSON, so blobs travel as data URLs there (see serializeAttachment).
+
+export const ATTACHMENT_PARENTS = ['expenses', 'journal'];
+
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_QUALITY = 0.7;
+
+// A JPEG no larger than THUMBNAIL_SIZE on its longest side, or null when the
+// browser cannot decode the image
+export async function createThumbnail(blob, size = THUMBNAIL_SIZE) {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+      bitmap.close();
+      return await canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+  } catch (error) {
+    console.warn('Could not create thumbnail:', error);
+    return null;
+  }
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = String(dataUrl).split(',');
+  const type = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+  const binary = atob(data || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+// Backup form: blobs become data URLs
+export async function serializeAttachment(attachment) {
+  return {
+    ...attachment,
+    blob: attachment.blob ? await blobToDataUrl(attachment.blob) : null,
+    thumbnail: attachment.thumbnail ? await blobToDataUrl(attachment.thumbnail) : null
+  };
+}
+
+export function deserializeAttachment(attachment) {
+  return {
+    ...attachment,
+    blob: attachment.blob ? dataUrlToBlob(attachment.blob) : null,
+    thumbnail: attachment.thumbnail ? dataUrlToBlob(attachment.thumbnail) : null
+  };
+}
+
+// { usage, quota } in bytes, or null where the Storage API is missing
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.warn('Storage estimate failed:', error);
+    return null;
+  }
+}
+
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Number(bytes) || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -0,0 +1,125 @@
+// Spending budgets for DailyTrack
+//
+// A budget caps spending per week, month or year, either for one expense
+// category or - with an empty category - for all spending:
+//
+//   { id, category: 'food', period: 'month', amount: 400, rollover: true,
+//     thresholds: [50, 80, 100], alerted: { period: '2026-10-01', thresholds: [50] } }
+//
+// Amounts are in the default currency. With rollover, whatever was left
+// unspent in one period is added to the next period's limit. Overspending is
+// not carried over as debt.
+//
+// Alerts fire once per threshold per period; `alerted` remembers which
+// thresholds were already announced for the period starting on `period`.
+import { addDays, addMonths, getToday, normalizeDate, toLocalDate } from './dates.js';
+import { getConvertedParts } from './splits.js';
+
+export const BUDGET_PERIODS = ['week', 'month', 'year'];
+
+export const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100];
+
+const WEEK_START = 1; // Monday, like habit weeks
+
+// Thresholds are whole percentages, e.g. "80, 50, 100" -> [50, 80, 100]
+export function normalizeThresholds(thresholds) {
+  const list = typeof thresholds === 'string' ? thresholds.split(',') : thresholds;
+  if (!Array.isArray(list)) return [...DEFAULT_ALERT_THRESHOLDS];
+
+  return Array.from(new Set(list.map(value => Math.round(Number(value)))))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+}
+
+export function normalizeBudget(budget) {
+  return {
+    ...budget,
+    category: budget.category || '',
+    period: BUDGET_PERIODS.includes(budget.period) ? budget.period : 'month',
+    amount: Math.max(0, Number(budget.amount) || 0),
+    rollover: Boolean(budget.rollover),
+    thresholds: normalizeThresholds(budget.thresholds),
+    startDate: normalizeDate(budget.startDate || budget.createdAt) || getToday()
+  };
+}
+
+// The { start, end } of the week, month or year containing `date`
+export function getBudgetPeriod(period, date = getToday()) {
+  switch (period) {
+    case 'week': {
+      const start = addDays(date, -((toLocalDate(date).getDay() - WEEK_START + 7) % 7));
+      return { start, end: addDays(start, 6) };
+    }
+    case 'year': {
+      const year = date.slice(0, 4);
+      return { start: `${year}-01-01`, end: `${year}-12-31` };
+    }
+    default: {
+      const start = `${date.slice(0, 7)}-01`;
+      return { start, end: addDays(addMonths(start, 1), -1) };
+    }
+  }
+}
+
+export function budgetMatches(budget, expense) {
+  return !budget.category || expense.category === budget.category;
+}
+
+// Only the matching parts of a split expense count against a category budget
+function sumSpent(budget, expenses, range) {
+  return expenses
+    .filter(expense => expense.date >= range.start && expense.date <= range.end)
+    .reduce((sum, expense) => {
+      const parts = getConvertedParts(expense) || [];
+      return sum + parts
+        .filter(part => budgetMatches(budget, part))
+        .reduce((partSum, part) => partSum + part.amount, 0);
+    }, 0);
+}
+
+// Where a budget stands in the period containing `date`:
+//   { start, end, spent, limit, carriedOver, remaining, percent }
+// `limit` includes any rolled-over amount.
+export function getBudgetStatus(budget, expenses, date = getToday()) {
+  const current = getBudgetPeriod(budget.period, date);
+  let carriedOver = 0;
+
+  if (budget.rollover) {
+    let range = getBudgetPeriod(budget.period, budget.startDate || date);
+    while (range.start < current.start) {
+      const spent = sumSpent(budget, expenses, range);
+      carriedOver = Math.max(0, budget.amount + carriedOver - spent);
+      range = getBudgetPeriod(budget.period, addDays(range.end, 1));
+    }
+  }
+
+  const spent = sumSpent(budget, expenses, current);
+  const limit = budget.amount + carriedOver;
+
+  return {
+    ...current,
+    spent,
+    limit,
+    carriedOver,
+    remaining: limit - spent,
+    percent: limit > 0 ? (spent / limit) * 100 : (spent > 0 ? Infinity : 0)
+  };
+}
+
+// Thresholds reached in the current period that have not been announced yet
+export function getPendingAlerts(budget, status) {
+  const alerted = budget.alerted?.period === status.start ? budget.alerted.thresholds : [];
+  return budget.thresholds.filter(threshold => status.percent >= threshold && !alerted.includes(threshold));
+}
+
+// Returns a copy of the budget with `thresholds` recorded as announced
+export function withAlerts(budget, status, thresholds) {
+  const alerted = budget.alerted?.period === status.start ? budget.alerted.thresholds : [];
+  return {
+    ...budget,
+    alerted: {
+      period: status.start,
+      thresholds: Array.from(new Set([...alerted, ...thresholds])).sort((a, b) => a - b)
+    }
+  };
+}
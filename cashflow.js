@@ -0,0 +1,66 @@
+// Income and net cash flow for DailyTrack
+//
+// Income entries live in their own store and mirror expenses:
+//
+//   { id, amount: 2500, currency: 'USD', description, category: 'salary', date }
+//
+// Cash-flow figures are in the default currency. Entries in a currency with
+// no known exchange rate are left out and counted in `unconverted`.
+import { getBudgetPeriod } from './budgets.js';
+import { getExpenseAmount } from './currency.js';
+
+export const INCOME_CATEGORIES = {
+  salary: 'Salary',
+  freelance: 'Side Work',
+  refund: 'Refunds',
+  gift: 'Gifts',
+  investment: 'Investments',
+  other: 'Other'
+};
+
+export const CASH_FLOW_GROUPS = ['day', 'week', 'month'];
+
+// First day of the day, (Monday-based) week or month containing `date`
+export function getGroupStart(date, groupBy = 'day') {
+  return groupBy === 'day' ? date : getBudgetPeriod(groupBy, date).start;
+}
+
+// Share of income kept, e.g. 0.2 for 20%; negative when spending exceeded
+// income and null without any income
+export function getSavingsRate(income, expenses) {
+  return income > 0 ? (income - expenses) / income : null;
+}
+
+// Totals plus per-period rows (newest first) for the given entries:
+//   { income, expenses, net, savingsRate, unconverted, periods: [{ start, income, expenses, net }] }
+export function getCashFlow(expenses, income, groupBy = 'day') {
+  const periods = new Map();
+  const totals = { income: 0, expenses: 0, unconverted: 0 };
+
+  const add = (entry, field) => {
+    const amount = getExpenseAmount(entry);
+    if (amount === null) {
+      totals.unconverted++;
+      return;
+    }
+
+    const start = getGroupStart(entry.date, groupBy);
+    if (!periods.has(start)) {
+      periods.set(start, { start, income: 0, expenses: 0, net: 0 });
+    }
+    const period = periods.get(start);
+    period[field] += amount;
+    period.net = period.income - period.expenses;
+    totals[field] += amount;
+  };
+
+  expenses.forEach(expense => add(expense, 'expenses'));
+  income.forEach(entry => add(entry, 'income'));
+
+  return {
+    ...totals,
+    net: totals.income - totals.expenses,
+    savingsRate: getSavingsRate(totals.income, totals.expenses),
+    periods: Array.from(periods.values()).sort((a, b) => b.start.localeCompare(a.start))
+  };
+}
@@ -0,0 +1,191 @@
+// Currencies, exchange rates and money formatting for DailyTrack
+//
+// Every expense records the ISO 4217 code it was paid in (`currency`).
+// Totals are converted into the default currency from settings using the
+// local exchange-rate table, where each row says that on `date` one unit of
+// `from` was worth `rate` units of `to`:
+//
+//   { id: '2026-10-01:EUR:USD', date: '2026-10-01', from: 'EUR', to: 'USD', rate: 1.08 }
+//
+// A conversion uses the latest rate on or before the expense date (or the
+// earliest one when the expense predates the table), the inverse of a rate
+// when only the opposite direction is known, or a path through one shared
+// currency. All money shown to the user goes through formatMoney().
+import { getToday, normalizeDate } from './dates.js';
+
+const FALLBACK_CURRENCIES = ['AUD', 'CAD', 'CHF', 'CNY', 'EUR', 'GBP', 'INR', 'JPY', 'MXN', 'USD'];
+
+let defaultCurrency = 'USD';
+let ratesByPair = new Map();
+let rateTable = [];
+const formatters = new Map();
+
+// Default currency
+export function isValidCurrency(code) {
+  if (!/^[A-Z]{3}$/.test(code || '')) return false;
+
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function setDefaultCurrency(code) {
+  defaultCurrency = isValidCurrency(code) ? code : 'USD';
+  return defaultCurrency;
+}
+
+export function getDefaultCurrency() {
+  return defaultCurrency;
+}
+
+export function getSupportedCurrencies() {
+  return typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('currency')
+    : FALLBACK_CURRENCIES;
+}
+
+// Formatting
+function getFormatter(currency) {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formatters.get(currency);
+}
+
+export function formatMoney(amount, currency = defaultCurrency) {
+  const value = Number(amount) || 0;
+  return isValidCurrency(currency)
+    ? getFormatter(currency).format(value)
+    : `${value.toFixed(2)} ${currency || ''}`.trim();
+}
+
+export function getCurrencySymbol(currency = defaultCurrency) {
+  if (!isValidCurrency(currency)) return currency || '';
+
+  const part = getFormatter(currency).formatToParts(0).find(({ type }) => type === 'currency');
+  return part ? part.value : currency;
+}
+
+// Exchange-rate table
+export function normalizeRate(rate) {
+  const from = String(rate.from || '').trim().toUpperCase();
+  const to = String(rate.to || '').trim().toUpperCase();
+  const value = Number(rate.rate);
+  const date = normalizeDate(rate.date);
+
+  if (!date || !isValidCurrency(from) || !isValidCurrency(to) || from === to || !(value > 0)) {
+    return null;
+  }
+
+  return { ...rate, id: `${date}:${from}:${to}`, date, from, to, rate: value };
+}
+
+// Loads the table used by conversions; rows are kept sorted by date per pair
+export function setExchangeRates(rates) {
+  rateTable = (Array.isArray(rates) ? rates : []).map(normalizeRate).filter(Boolean);
+  ratesByPair = new Map();
+
+  rateTable.forEach(rate => {
+    const key = `${rate.from}:${rate.to}`;
+    if (!ratesByPair.has(key)) ratesByPair.set(key, []);
+    ratesByPair.get(key).push(rate);
+  });
+  ratesByPair.forEach(rows => rows.sort((a, b) => a.date.localeCompare(b.date)));
+
+  return rateTable;
+}
+
+export function getExchangeRates() {
+  return rateTable;
+}
+
+function pickRate(rows, date) {
+  if (!rows || rows.length === 0) return null;
+
+  let match = rows[0];
+  for (const row of rows) {
+    if (row.date > date) break;
+    match = row;
+  }
+  return match;
+}
+
+function findDirectRate(from, to, date) {
+  const direct = pickRate(ratesByPair.get(`${from}:${to}`), date);
+  const inverse = pickRate(ratesByPair.get(`${to}:${from}`), date);
+
+  if (!direct || !inverse) {
+    return direct ? direct.rate : inverse ? 1 / inverse.rate : null;
+  }
+
+  // Both directions known: take the row closest to the date, preferring
+  // rows on or before it
+  const directFirst = (direct.date <= date) === (inverse.date <= date)
+    ? (direct.date <= date ? direct.date >= inverse.date : direct.date <= inverse.date)
+    : direct.date <= date;
+  return directFirst ? direct.rate : 1 / inverse.rate;
+}
+
+// Units of `to` per unit of `from` on `date`, or null when the table cannot
+// connect the two currencies
+export function getExchangeRate(from, to, date = getToday()) {
+  if (from === to) return 1;
+
+  const direct = findDirectRate(from, to, date);
+  if (direct !== null) return direct;
+
+  const pivots = new Set(rateTable.flatMap(rate => [rate.from, rate.to]));
+  for (const pivot of pivots) {
+    if (pivot === from || pivot === to) continue;
+
+    const first = findDirectRate(from, pivot, date);
+    const second = first === null ? null : findDirectRate(pivot, to, date);
+    if (second !== null) return first * second;
+  }
+
+  return null;
+}
+
+export function convertAmount(amount, from, to = defaultCurrency, date = getToday()) {
+  const rate = getExchangeRate(from || defaultCurrency, to, date);
+  return rate === null ? null : amount * rate;
+}
+
+// An expense's (or income entry's) amount in the default currency (or
+// `currency`), null when no rate is known. Records without a currency are in
+// the default currency.
+export function getExpenseAmount(expense, currency = defaultCurrency) {
+  return convertAmount(expense.amount, expense.currency || currency, currency, expense.date);
+}
+
+// Rates files: the JSON shape most rate APIs return,
+//   { "base": "EUR", "date": "2026-10-01", "rates": { "USD": 1.08, "GBP": 0.86 } }
+// (or an array of those), or CSV rows of "date,from,to,rate" with an
+// optional header line.
+export function parseRatesFile(text) {
+  const content = String(text || '').trim();
+  let rates = [];
+
+  if (content.startsWith('{') || content.startsWith('[')) {
+    const data = JSON.parse(content);
+    (Array.isArray(data) ? data : [data]).forEach(snapshot => {
+      Object.entries(snapshot.rates || {}).forEach(([to, rate]) => {
+        rates.push({ date: snapshot.date, from: snapshot.base, to, rate });
+      });
+    });
+  } else {
+    rates = content.split(/\r?\n/)
+      .map(line => line.split(',').map(cell => cell.trim()))
+      .filter(cells => cells.length >= 4 && !/^date$/i.test(cells[0]))
+      .map(([date, from, to, rate]) => ({ date, from, to, rate }));
+  }
+
+  const valid = rates.map(normalizeRate).filter(Boolean);
+  if (valid.length === 0) {
+    throw new Error('No exchange rates found in file');
+  }
+  return valid;
+}
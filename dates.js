@@ -0,0 +1,185 @@
+// Calendar date and time helpers for DailyTrack
+//
+// Dates are stored as local calendar strings (YYYY-MM-DD) and optional due
+// times as wall-clock strings (HH:MM). "Local" means the timezone chosen in
+// settings, falling back to the device timezone. Never derive a calendar date
+// with toISOString(): that is the UTC date, which is a day off for part of
+// every day anywhere outside UTC.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let activeTimeZone = null;
+const formatters = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Timezone selection
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Sets the IANA timezone used for "today"; falsy or unknown zones fall back
+// to the device timezone
+export function setTimeZone(timeZone) {
+  activeTimeZone = isValidTimeZone(timeZone) ? timeZone : null;
+  return activeTimeZone;
+}
+
+export function getTimeZone() {
+  return activeTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function getSupportedTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [];
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant, in the given timezone or the device's
+function getZonedParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  parts.hour %= 24;
+  return parts;
+}
+
+// Instant -> local calendar date / time
+export function toDateString(date = new Date(), timeZone = activeTimeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+export function toTimeString(date = new Date(), timeZone = activeTimeZone) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+export function getToday() {
+  return toDateString(new Date());
+}
+
+// Calendar arithmetic - timezone-free, so DST never shifts a day. A date
+// is handled as the time of its midnight in UTC.
+export function toUTC(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+// The date whose UTC midnight is `time` (a Date or milliseconds)
+export function fromUTC(time) {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+export function addDays(dateStr, days) {
+  return fromUTC(toUTC(dateStr) + days * MS_PER_DAY);
+}
+
+// Clamps to the end of shorter months, so Mar 31 - 1 month is Feb 28/29
+export function addMonths(dateStr, months) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+}
+
+export function daysBetween(fromStr, toStr) {
+  return Math.round((toUTC(toStr) - toUTC(fromStr)) / MS_PER_DAY);
+}
+
+export function daysAgo(days) {
+  return addDays(getToday(), -days);
+}
+
+// Legacy records may hold a full ISO timestamp where a date is expected.
+// Null for anything that is not a real date, such as '2026-02-30'.
+export function normalizeDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return fromUTC(toUTC(value)) === value ? value : null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : toDateString(date);
+}
+
+// Date object at device-local midnight, for toLocaleDateString() and friends.
+// new Date('YYYY-MM-DD') would be UTC midnight - the previous day west of UTC.
+export function toLocalDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function formatDate(dateStr, options) {
+  return dateStr ? toLocalDate(dateStr).toLocaleDateString(undefined, options) : '';
+}
+
+// The instant a wall-clock time occurs on a calendar date in a timezone
+export function zonedDateTime(dateStr, timeStr = '00:00', timeZone = activeTimeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute);
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // The second pass corrects the guess when a DST change lies in between
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+// Due times. A task with only a due date is due by the end of that day.
+export function getDueDateTime(task, timeZone = activeTimeZone) {
+  if (!task.dueDate) return null;
+
+  return task.dueTime
+    ? zonedDateTime(task.dueDate, task.dueTime, timeZone)
+    : zonedDateTime(addDays(task.dueDate, 1), '00:00', timeZone);
+}
+
+export function isOverdue(task, now = new Date()) {
+  if (!task.dueDate || task.completed) return false;
+  return getDueDateTime(task) <= now;
+}
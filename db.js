@@ -1,100 +1,56 @@
 // IndexedDB wrapper for DailyTrack
+import { LATEST_VERSION, runMigrations } from './migrations.js';
+import { occurrencesBetween } from './recurrence.js';
+import { getCashFlow } from './cashflow.js';
+import { deserializeAttachment, serializeAttachment } from './attachments.js';
+import { getExpenseAmount } from './currency.js';
+import { addDays, addMonths, getToday, isOverdue, toLocalDate } from './dates.js';
+import { compareSpending, findUnusualExpenses, forecastSpending, getCategoryTrendLines } from './insights.js';
+import { SYNCED_STORES, getSyncKey } from './merge.js';
+import { getConvertedParts } from './splits.js';
+import {
+  getExpectedShare,
+  getHabitStartDate,
+  getHabitTarget,
+  getHabitValue,
+  getSkipType,
+  normalizeHabitValues,
+  withCompletion,
+  withValue
+} from './habits.js';
+
 class DailyTrackDB {
-  constructor() {
-    this.dbName = 'DailyTrackDB';
-    this.version = 3;
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'DailyTrackDB';
+    this.version = options.version || LATEST_VERSION;
+    this.idbFactory = options.indexedDB || globalThis.indexedDB;
     this.db = null;
   }
 
+  // Opens the database once; later calls share the connection
   async init() {
+    if (this.db) return this.db;
+
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version);
+      const request = this.idbFactory.open(this.dbName, this.version);
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create object stores if they don't exist
-        const stores = [
-          {
-            name: 'tasks',
-            options: { keyPath: 'id' },
-            indexes: [
-              { name: 'by-date', keyPath: 'createdAt' },
-              { name: 'by-priority', keyPath: 'priority' },
-              { name: 'by-completed', keyPath: 'completed' },
-              { name: 'by-dueDate', keyPath: 'dueDate' }
-            ]
-          },
-          {
-            name: 'expenses',
-            options: { keyPath: 'id' },
-            indexes: [
-              { name: 'by-date', keyPath: 'date' },
-              { name: 'by-category', keyPath: 'category' },
-              { name: 'by-amount', keyPath: 'amount' }
-            ]
-          },
-          {
-            name: 'habits',
-            options: { keyPath: 'id' },
-            indexes: [
-              { name: 'by-streak', keyPath: 'currentStreak' },
-              { name: 'by-frequency', keyPath: 'frequency' }
-            ]
-          },
-          {
-            name: 'journal',
-            options: { keyPath: 'id' },
-            indexes: [
-              { name: 'by-date', keyPath: 'date' },
-              { name: 'by-mood', keyPath: 'mood' }
-            ]
-          },
-          {
-            name: 'settings',
-            options: { keyPath: 'id' }
-          },
-          {
-            name: 'activityLog',
-            options: { keyPath: 'id' },
-            indexes: [
-              { name: 'by-timestamp', keyPath: 'timestamp' },
-              { name: 'by-type', keyPath: 'type' }
-            ]
-          },
-          {
-            name: 'syncQueue',
-            options: { keyPath: 'id', autoIncrement: true },
-            indexes: [
-              { name: 'by-type', keyPath: 'type' },
-              { name: 'by-status', keyPath: 'status' }
-            ]
-          },
-          {
-            name: 'analytics',
-            options: { keyPath: 'date' },
-            indexes: [
-              { name: 'by-metric', keyPath: 'metric' }
-            ]
-          }
-        ];
-
-        stores.forEach((storeConfig) => {
-          if (!db.objectStoreNames.contains(storeConfig.name)) {
-            const store = db.createObjectStore(
-              storeConfig.name,
-              storeConfig.options
-            );
-
-            storeConfig.indexes?.forEach((index) => {
-              store.createIndex(index.name, index.keyPath);
-            });
-          }
-        });
+        runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
+      };
+
+      request.onblocked = () => {
+        console.warn('Database upgrade blocked by another open DailyTrack tab');
       };
 
       request.onsuccess = (event) => {
         this.db = event.target.result;
+
+        // Let a newer version in another tab upgrade the schema
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+
         resolve(this.db);
       };
 
@@ -200,13 +156,41 @@ class DailyTrackDB {
   }
 
   async getOverdueTasks() {
-    const today = new Date().toISOString().split('T')[0];
+    const now = new Date();
     const tasks = await this.getAll('tasks', 'by-dueDate');
-    return tasks.filter(task => 
-      task.dueDate && 
-      task.dueDate < today && 
-      !task.completed
-    );
+    const overdue = tasks.filter(task => isOverdue(task, now));
+
+    // A recurring series counts as overdue once, on its latest open
+    // instance, annotated with how many occurrences were missed since.
+    const series = new Map();
+    const result = [];
+
+    overdue.forEach(task => {
+      if (!task.recurrence) {
+        result.push(task);
+        return;
+      }
+
+      const seriesId = task.seriesId || task.id;
+      const current = series.get(seriesId);
+      if (!current || task.dueDate > current.dueDate) {
+        series.set(seriesId, task);
+      }
+    });
+
+    const yesterdayStr = addDays(getToday(), -1);
+
+    series.forEach(task => {
+      const missed = occurrencesBetween(
+        task.recurrence,
+        task.seriesStart || task.dueDate,
+        task.dueDate,
+        yesterdayStr
+      );
+      result.push({ ...task, missedOccurrences: missed.length });
+    });
+
+    return result.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
   }
 
   // Expense-specific methods
@@ -225,19 +209,31 @@ class DailyTrackDB {
       count: expenses.length,
       byCategory: {},
       average: 0,
-      dailyAverage: 0
+      dailyAverage: 0,
+      unconverted: [] // expenses in a currency with no known rate
     };
 
+    // Totals are in the default currency
     expenses.forEach(expense => {
-      summary.total += expense.amount;
-      if (!summary.byCategory[expense.category]) {
-        summary.byCategory[expense.category] = 0;
+      const amount = getExpenseAmount(expense);
+      if (amount === null) {
+        summary.unconverted.push(expense);
+        return;
       }
-      summary.byCategory[expense.category] += expense.amount;
+
+      // Split expenses count towards each of their categories
+      summary.total += amount;
+      getConvertedParts(expense).forEach(part => {
+        if (!summary.byCategory[part.category]) {
+          summary.byCategory[part.category] = 0;
+        }
+        summary.byCategory[part.category] += part.amount;
+      });
     });
 
-    if (summary.count > 0) {
-      summary.average = summary.total / summary.count;
+    const converted = summary.count - summary.unconverted.length;
+    if (converted > 0) {
+      summary.average = summary.total / converted;
       
       // Calculate daily average
       const days = Math.max(
@@ -252,6 +248,84 @@ class DailyTrackDB {
     return summary;
   }
 
+  // Income and cash flow
+  async getIncomeByPeriod(startDate, endDate) {
+    const income = await this.getAll('income', 'by-date');
+    return income.filter(entry =>
+      entry.date >= startDate &&
+      entry.date <= endDate
+    ).sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  // Income, spending and net per day, week or month, in the default currency
+  async getCashFlowSummary(startDate, endDate, groupBy = 'day') {
+    const [expenses, income] = await Promise.all([
+      this.getExpensesByPeriod(startDate, endDate),
+      this.getIncomeByPeriod(startDate, endDate)
+    ]);
+    return getCashFlow(expenses, income, groupBy);
+  }
+
+  // Spending insights, in the default currency (see insights.js)
+  async getSpendingComparison(date = getToday()) {
+    const since = addMonths(`${date.slice(0, 7)}-01`, -12);
+    return compareSpending(await this.getExpensesByPeriod(since, date), date);
+  }
+
+  async getCategoryTrends(date = getToday(), months = 6) {
+    const since = addMonths(`${date.slice(0, 7)}-01`, -(months - 1));
+    return getCategoryTrendLines(await this.getExpensesByPeriod(since, date), date, months);
+  }
+
+  // Unusual amounts are judged against the whole history of their category
+  async getUnusualExpenses(date = getToday(), days = 30) {
+    return findUnusualExpenses(await this.getAll('expenses'), date, days);
+  }
+
+  async getSpendingForecast(date = getToday()) {
+    const [expenses, budgets, recurringExpenses] = await Promise.all([
+      this.getAll('expenses'), this.getAll('budgets'), this.getAll('recurringExpenses')
+    ]);
+    return forecastSpending(expenses, budgets, recurringExpenses, date);
+  }
+
+  // Attachment methods
+  async getAttachments(parentType, parentId) {
+    const attachments = await this.getAll('attachments', 'by-parent', IDBKeyRange.only([parentType, parentId]));
+    return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async deleteAttachments(parentType, parentId) {
+    const attachments = await this.getAttachments(parentType, parentId);
+    for (const attachment of attachments) {
+      await this.delete('attachments', attachment.id);
+    }
+    return attachments.length;
+  }
+
+  // Number of photos per record, keyed "parentType:parentId", read from the
+  // index so no Blobs are loaded
+  async getAttachmentCounts() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['attachments'], 'readonly');
+      const request = transaction.objectStore('attachments').index('by-parent').openKeyCursor();
+      const counts = {};
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+
+        const key = cursor.key.join(':');
+        counts[key] = (counts[key] || 0) + 1;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Journal-specific methods
   async getJournalEntriesByMonth(year, month) {
     const entries = await this.getAll('journal', 'by-date');
@@ -295,52 +369,108 @@ class DailyTrackDB {
   }
 
   // Habit-specific methods
-  async logHabitCompletion(habitId, date = null) {
+  // Logs a completion (today by default, or a backfilled past date) and
+  // recomputes the streaks against the habit's frequency. Without a value
+  // the day's full target is logged.
+  async logHabitCompletion(habitId, date = null, value = null) {
     const habit = await this.get('habits', habitId);
     if (!habit) return null;
 
-    const today = date || new Date().toISOString().split('T')[0];
-    const lastCompletion = habit.lastCompleted
-      ? new Date(habit.lastCompleted).toISOString().split('T')[0]
-      : null;
+    const day = date || getToday();
+    const updated = value === null ? withCompletion(habit, day) : withValue(habit, day, value);
+    updated.updatedAt = new Date().toISOString();
+    updated.synced = false;
 
-    // Check if already completed today
-    if (lastCompletion === today) {
-      return habit;
-    }
+    await this.update('habits', updated);
+    return updated;
+  }
 
-    // Check if streak should continue
-    if (lastCompletion) {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-      if (lastCompletion === yesterdayStr) {
-        habit.currentStreak++;
-        habit.longestStreak = Math.max(habit.longestStreak, habit.currentStreak);
-      } else {
-        habit.currentStreak = 1;
-      }
-    } else {
-      habit.currentStreak = 1;
-      habit.longestStreak = 1;
+  // Per-day heatmap cells for the `days` up to `endDate`, plus completion
+  // rates by week and month: completions over what the habit's frequency
+  // expected (see getExpectedShare), capped at 100%. The weekday breakdown
+  // is the share of each weekday's non-excused days that were completed.
+  async getHabitAnalytics(habitId, endDate = getToday(), days = 365) {
+    const stored = await this.get('habits', habitId);
+    if (!stored) return null;
+
+    const habit = normalizeHabitValues(stored);
+    const target = getHabitTarget(habit);
+    const completed = new Set(habit.completionHistory);
+    const habitStart = getHabitStartDate(habit);
+    const startDate = addDays(endDate, -(days - 1));
+
+    const cells = [];
+    const weeks = new Map();
+    const months = new Map();
+    const weekdays = Array.from({ length: 7 }, (_, weekday) => ({ weekday, completed: 0, expected: 0 }));
+    const total = { completed: 0, expected: 0 };
+    const tally = (bucket, done, expected) => {
+      bucket.completed += done ? 1 : 0;
+      bucket.expected += expected;
+    };
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const value = getHabitValue(habit, date);
+      const done = completed.has(date);
+      const tracked = Boolean(habitStart) && date >= habitStart;
+      cells.push({
+        date,
+        value,
+        completed: done,
+        skipType: getSkipType(habit, date),
+        tracked,
+        level: value > 0 ? Math.min(4, Math.ceil((value / target) * 4)) : 0
+      });
+      if (!tracked) continue;
+
+      const weekday = toLocalDate(date).getDay();
+      const weekStart = addDays(date, -((weekday + 6) % 7));
+      const month = date.slice(0, 7);
+      if (!weeks.has(weekStart)) weeks.set(weekStart, { start: weekStart, completed: 0, expected: 0 });
+      if (!months.has(month)) months.set(month, { month, completed: 0, expected: 0 });
+
+      const expected = getExpectedShare(habit, date);
+      tally(weeks.get(weekStart), done, expected);
+      tally(months.get(month), done, expected);
+      tally(total, done, expected);
+      tally(weekdays[weekday], done, getSkipType(habit, date) ? 0 : 1);
     }
 
-    habit.lastCompleted = today;
-    habit.completionHistory = habit.completionHistory || [];
-    habit.completionHistory.push(today);
+    const withRate = (bucket) => ({
+      ...bucket,
+      rate: bucket.expected > 0 ? Math.min(1, bucket.completed / bucket.expected) : null
+    });
+    const byWeekday = weekdays.map(withRate);
+    const bestWeekday = byWeekday
+      .filter(day => day.completed > 0 && day.rate !== null)
+      .sort((a, b) => b.rate - a.rate || b.completed - a.completed)[0];
 
-    return await this.update('habits', habit);
+    return {
+      habitId,
+      startDate,
+      endDate,
+      target,
+      days: cells,
+      weeks: Array.from(weeks.values()).map(withRate),
+      months: Array.from(months.values()).map(withRate),
+      weekdays: byWeekday,
+      bestWeekday: bestWeekday ? bestWeekday.weekday : null,
+      completionRate: withRate(total).rate
+    };
   }
 
-  // Sync queue management
+  // Sync queue management. Items are 'pending' until sent ('completed') or
+  // out of retries ('failed'); nextAttemptAt holds back a pending item that
+  // failed before (see SyncManager.syncPendingItems).
   async addToSyncQueue(type, data) {
+    const now = new Date().toISOString();
     return await this.add('syncQueue', {
       type,
       data,
       status: 'pending',
-      createdAt: new Date().toISOString(),
-      attempts: 0
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now
     });
   }
 
@@ -349,6 +479,25 @@ class DailyTrackDB {
     return type ? items.filter(item => item.type === type) : items;
   }
 
+  // Dead letters, newest first
+  async getFailedSyncItems() {
+    const items = await this.getAll('syncQueue', 'by-status', 'failed');
+    return items.sort((a, b) => (b.failedAt || b.createdAt).localeCompare(a.failedAt || a.createdAt));
+  }
+
+  async retrySyncItem(id) {
+    const item = await this.get('syncQueue', id);
+    if (item) {
+      const { failedAt, lastError, ...rest } = item;
+      await this.update('syncQueue', {
+        ...rest,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString()
+      });
+    }
+  }
+
   async markSyncItemComplete(id) {
     const item = await this.get('syncQueue', id);
     if (item) {
@@ -358,9 +507,64 @@ class DailyTrackDB {
     }
   }
 
+  // The version of a record this device last uploaded or pulled; the base
+  // for merging the next remote change (see merge.js)
+  async getSyncBase(storeName, id) {
+    const entry = await this.get('syncBase', getSyncKey(storeName, id));
+    return entry ? entry.record : null;
+  }
+
+  async saveSyncBase(storeName, record) {
+    const { synced, ...snapshot } = record;
+    await this.update('syncBase', { key: getSyncKey(storeName, record.id), storeName, record: snapshot });
+  }
+
+  // Deletes a synced record and leaves a tombstone, which the next sync
+  // sends to the server so other devices delete it too (see sync.js)
+  async deleteSynced(storeName, id) {
+    await this.delete(storeName, id);
+    await this.addTombstone(storeName, id);
+    await this.forgetSyncState(storeName, id);
+  }
+
+  // Tells the next sync to delete the record on the server
+  async addTombstone(storeName, id, deletedAt = new Date().toISOString()) {
+    await this.update('tombstones', {
+      id: getSyncKey(storeName, id),
+      storeName,
+      recordId: id,
+      deletedAt
+    });
+  }
+
+  async forgetSyncState(storeName, id) {
+    const key = getSyncKey(storeName, id);
+    await this.delete('syncBase', key);
+    await this.delete('syncConflicts', key);
+  }
+
+  async getConflicts() {
+    const conflicts = await this.getAll('syncConflicts');
+    return conflicts.sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+  }
+
+  // One open conflict per record; a newer one replaces it
+  async saveConflict(storeName, recordId, fields, remote) {
+    const conflict = {
+      id: getSyncKey(storeName, recordId),
+      storeName,
+      recordId,
+      fields,
+      remote,
+      detectedAt: new Date().toISOString()
+    };
+    await this.update('syncConflicts', conflict);
+    return conflict;
+  }
+
   // Analytics
   async recordAnalytics(metric, value, date = null) {
-    const today = date || new Date().toISOString().split('T')[0];
+    const today = date || getToday();
     const existing = await this.get('analytics', today);
 
     if (existing) {
@@ -393,12 +597,17 @@ class DailyTrackDB {
 
   // Backup and restore
   async exportData() {
-    const stores = ['tasks', 'expenses', 'habits', 'journal', 'settings', 'analytics'];
+    const stores = ['tasks', 'expenses', 'income', 'budgets', 'habits', 'journal', 'settings', 'analytics', 'exchangeRates', 'recurringExpenses', 'categoryRules', 'settlements', 'accounts', 'transfers'];
     const data = {};
     
     for (const store of stores) {
       data[store] = await this.getAll(store);
     }
+
+    // Photos are Blobs, which JSON cannot hold
+    data.attachments = await Promise.all(
+      (await this.getAll('attachments')).map(serializeAttachment)
+    );
     
     return {
       data,
@@ -414,17 +623,40 @@ class DailyTrackDB {
       throw new Error('Invalid backup data');
     }
 
+    // Stores the backup replaces
+    const stores = ['tasks', 'expenses', 'income', 'budgets', 'habits', 'journal', 'settings', 'analytics', 'exchangeRates', 'recurringExpenses', 'categoryRules', 'settlements', 'accounts', 'transfers', 'attachments'];
+
+    // Synced records the backup does not have are deleted everywhere, or
+    // the next pull would bring them back. Deletions still to be pushed
+    // stay, unless the backup restores the record.
+    const restoredIds = new Map(stores.map(storeName => [storeName, new Set((backupData.data[storeName] || []).map(item => item.id))]));
+    const restored = (storeName, id) => restoredIds.get(storeName).has(id);
+    const deletedAt = new Date().toISOString();
+    const tombstones = (await this.getAll('tombstones'))
+      .filter(tombstone => !restoredIds.has(tombstone.storeName) || !restored(tombstone.storeName, tombstone.recordId));
+    for (const storeName of SYNCED_STORES.filter(name => stores.includes(name))) {
+      (await this.getAll(storeName))
+        .filter(record => !restored(storeName, record.id))
+        .forEach(record => tombstones.push({ id: getSyncKey(storeName, record.id), storeName, recordId: record.id, deletedAt }));
+    }
+
     // Clear existing data
-    const stores = ['tasks', 'expenses', 'habits', 'journal', 'settings', 'analytics'];
     for (const store of stores) {
       await this.clearStore(store);
     }
+    // Sync state described the replaced records
+    await this.clearStore('syncBase');
+    await this.clearStore('syncConflicts');
+    await this.clearStore('tombstones');
+    for (const tombstone of tombstones) {
+      await this.update('tombstones', tombstone);
+    }
 
     // Import data
     for (const [storeName, items] of Object.entries(backupData.data)) {
       if (stores.includes(storeName)) {
         for (const item of items) {
-          await this.add(storeName, item);
+          await this.add(storeName, storeName === 'attachments' ? deserializeAttachment(item) : item);
         }
       }
     }
@@ -542,7 +774,7 @@ class DailyTrackDB {
 
     // Delete database
     await new Promise((resolve, reject) => {
-      const request = indexedDB.deleteDatabase(this.dbName);
+      const request = this.idbFactory.deleteDatabase(this.dbName);
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
@@ -553,4 +785,5 @@ class DailyTrackDB {
 }
 
 // Export singleton instance
-export const db = new DailyTrackDB();
\ No newline at end of file
+export const db = new DailyTrackDB();
+export { DailyTrackDB };
\ No newline at end of file
@@ -0,0 +1,371 @@
+// Habit frequencies and streak math for DailyTrack
+//
+// A habit's schedule lives in flat fields next to the indexed `frequency`:
+//
+//   { frequency: 'daily' }                        every day
+//   { frequency: 'weekly', timesPerWeek: 3 }      N times per (Monday-based) week
+//   { frequency: 'weekdays', weekdays: [0] }      on specific weekdays (0 = Sunday)
+//   { frequency: 'interval', everyDays: 2 }       once every N days
+//
+// Each day's amount lives in `values` ({ 'YYYY-MM-DD': 5 }) and counts as
+// done once it reaches the habit's `target` (in `unit`s, e.g. 8 glasses).
+// Binary habits are simply a target of 1. `completionHistory` keeps the
+// sorted list of done days, which drives all the period math.
+//
+// A streak counts consecutive periods met - days, weeks, scheduled weekdays
+// or N-day windows - and the period still in progress never breaks it.
+//
+// Days can be excused per habit in `skippedDays` ({ 'YYYY-MM-DD': 'skip' |
+// 'freeze' }) or globally through vacation ranges from the settings. Excused
+// days neither break nor extend a streak; in longer periods they lower the
+// number of completions required.
+import { addDays, daysBetween, getToday, normalizeDate, toLocalDate } from './dates.js';
+
+export const HABIT_FREQUENCIES = ['daily', 'weekly', 'weekdays', 'interval'];
+
+export const WATER_HABIT_ID = 'water';
+
+export const SKIP_TYPES = ['skip', 'freeze'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEK_START = 1; // Monday
+
+let vacations = [];
+
+// Vacation ranges ([{ start, end }], inclusive) apply to every habit
+export function setVacations(ranges) {
+  vacations = (Array.isArray(ranges) ? ranges : [])
+    .filter(range => range?.start && range?.end && range.start <= range.end);
+  return vacations;
+}
+
+export function getVacations() {
+  return vacations;
+}
+
+export function getActiveVacation(date = getToday()) {
+  return vacations.find(range => date >= range.start && date <= range.end) || null;
+}
+
+// Why a day is excused for a habit: 'skip', 'freeze', 'vacation' or null
+export function getSkipType(habit, date) {
+  const type = habit.skippedDays?.[date];
+  if (SKIP_TYPES.includes(type)) return type;
+  return getActiveVacation(date) ? 'vacation' : null;
+}
+
+export function normalizeHabitFrequency(habit) {
+  const frequency = HABIT_FREQUENCIES.includes(habit.frequency) ? habit.frequency : 'daily';
+  const schedule = { frequency };
+
+  if (frequency === 'weekly') {
+    schedule.timesPerWeek = Math.min(7, Math.max(1, parseInt(habit.timesPerWeek, 10) || 1));
+  } else if (frequency === 'weekdays') {
+    const weekdays = Array.from(new Set((habit.weekdays || []).map(Number)))
+      .filter(day => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    if (weekdays.length === 0) return { frequency: 'daily' };
+    schedule.weekdays = weekdays;
+  } else if (frequency === 'interval') {
+    schedule.everyDays = Math.max(1, parseInt(habit.everyDays, 10) || 1);
+  }
+
+  return schedule;
+}
+
+export function getHabitTarget(habit) {
+  return Math.max(1, Number(habit.target) || 1);
+}
+
+export function isQuantitative(habit) {
+  return getHabitTarget(habit) > 1 || Boolean(habit.unit);
+}
+
+// Amount logged on a date. Days completed before habits carried values
+// count as exactly reaching the target.
+export function getHabitValue(habit, date) {
+  const value = habit.values?.[date];
+  if (value !== undefined) return value;
+  return (habit.completionHistory || []).map(normalizeDate).includes(date) ? getHabitTarget(habit) : 0;
+}
+
+// Fills `values` from older binary history and re-derives the done days,
+// e.g. after the target changed
+export function normalizeHabitValues(habit) {
+  const target = getHabitTarget(habit);
+  const values = {};
+
+  (habit.completionHistory || []).map(normalizeDate).filter(Boolean).forEach(date => {
+    values[date] = target;
+  });
+  Object.entries(habit.values || {}).forEach(([date, value]) => {
+    if (Number(value) > 0) values[date] = Number(value);
+  });
+
+  return {
+    ...habit,
+    target,
+    unit: habit.unit || '',
+    values,
+    completionHistory: Object.keys(values).filter(date => values[date] >= target).sort()
+  };
+}
+
+export function describeFrequency(habit) {
+  const schedule = normalizeHabitFrequency(habit);
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      return schedule.timesPerWeek === 1 ? 'Once a week' : `${schedule.timesPerWeek}x per week`;
+    case 'weekdays':
+      return `Every ${schedule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    case 'interval':
+      return schedule.everyDays === 1 ? 'Every day' : `Every ${schedule.everyDays} days`;
+    default:
+      return 'Every day';
+  }
+}
+
+// Unit used when talking about a streak: "5 days", "3 weeks"
+export function getStreakUnit(habit, count) {
+  const units = { daily: 'day', weekly: 'week', weekdays: 'time', interval: 'time' };
+  const unit = units[normalizeHabitFrequency(habit).frequency];
+  return count === 1 ? unit : `${unit}s`;
+}
+
+function weekday(dateStr) {
+  return toLocalDate(dateStr).getDay();
+}
+
+// Interval windows are anchored to the day the habit started
+function getAnchor(habit, history) {
+  return normalizeDate(habit.startDate || habit.createdAt) || history[0] || null;
+}
+
+// First day a habit can have a period on: its start, or an earlier backfill
+function getHabitStart(habit, history) {
+  const anchor = getAnchor(habit, history);
+  const first = history[0];
+  return first && first < anchor ? first : anchor;
+}
+
+// The period ({ start, end, required }) that contains `date`. For weekday
+// habits that is the latest scheduled day on or before `date`.
+function periodContaining(schedule, date, anchor) {
+  switch (schedule.frequency) {
+    case 'weekly': {
+      const start = addDays(date, -((weekday(date) - WEEK_START + 7) % 7));
+      return { start, end: addDays(start, 6), required: schedule.timesPerWeek };
+    }
+    case 'weekdays': {
+      let day = date;
+      while (!schedule.weekdays.includes(weekday(day))) {
+        day = addDays(day, -1);
+      }
+      return { start: day, end: day, required: 1 };
+    }
+    case 'interval': {
+      const offset = daysBetween(anchor, date);
+      const start = addDays(anchor, Math.floor(offset / schedule.everyDays) * schedule.everyDays);
+      return { start, end: addDays(start, schedule.everyDays - 1), required: 1 };
+    }
+    default:
+      return { start: date, end: date, required: 1 };
+  }
+}
+
+function previousPeriod(schedule, period, anchor) {
+  return periodContaining(schedule, addDays(period.start, -1), anchor);
+}
+
+function countCompletions(history, period) {
+  return history.filter(date => date >= period.start && date <= period.end).length;
+}
+
+function countExcused(habit, period) {
+  let excused = 0;
+  for (let date = period.start; date <= period.end; date = addDays(date, 1)) {
+    if (getSkipType(habit, date)) excused++;
+  }
+  return excused;
+}
+
+// Completions a period needs once its excused days are taken out; 0 means
+// the whole period is excused
+function getRequired(habit, period) {
+  const excused = countExcused(habit, period);
+  if (excused === 0) return period.required;
+
+  const days = daysBetween(period.start, period.end) + 1;
+  return Math.ceil(period.required * (days - excused) / days);
+}
+
+// How much of one completion a day is expected to contribute, for completion
+// rates: a whole one on daily habits and scheduled weekdays, a share of one
+// for weekly and interval habits, and nothing on excused or unscheduled days
+export function getExpectedShare(habit, date) {
+  if (getSkipType(habit, date)) return 0;
+
+  const schedule = normalizeHabitFrequency(habit);
+  switch (schedule.frequency) {
+    case 'weekly':
+      return schedule.timesPerWeek / 7;
+    case 'weekdays':
+      return schedule.weekdays.includes(weekday(date)) ? 1 : 0;
+    case 'interval':
+      return 1 / schedule.everyDays;
+    default:
+      return 1;
+  }
+}
+
+export function getHabitStartDate(habit) {
+  return getHabitStart(habit, getHistory(habit));
+}
+
+function getHistory(habit) {
+  return Array.from(new Set((habit.completionHistory || []).map(normalizeDate).filter(Boolean))).sort();
+}
+
+// Walks periods from the one containing `today` back to the habit's start.
+// Returns met flags newest first, ignoring an unmet period still in progress.
+function getPeriodResults(habit, today) {
+  const history = getHistory(habit);
+  const start = getHabitStart(habit, history);
+  if (!start) return [];
+
+  const schedule = normalizeHabitFrequency(habit);
+  const anchor = getAnchor(habit, history);
+  const completed = new Set(history);
+  const results = [];
+  let period = periodContaining(schedule, today, anchor);
+
+  while (period.end >= start) {
+    const count = period.start === period.end
+      ? Number(completed.has(period.start))
+      : countCompletions(history, period);
+    const required = getRequired(habit, period);
+    const met = count > 0 && count >= required;
+    const inProgress = period.end >= today;
+    if (met || (!inProgress && required > 0)) {
+      results.push(met);
+    }
+    period = previousPeriod(schedule, period, anchor);
+  }
+
+  return results;
+}
+
+export function computeHabitStreaks(habit, today = getToday()) {
+  const results = getPeriodResults(habit, today);
+
+  let currentStreak = 0;
+  while (currentStreak < results.length && results[currentStreak]) {
+    currentStreak++;
+  }
+
+  let longestStreak = 0;
+  let run = 0;
+  results.forEach(met => {
+    run = met ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  return { currentStreak, longestStreak };
+}
+
+// Where a habit stands on `date`:
+//   done     - completed on that date
+//   skipped  - excused by a skip, freeze or vacation
+//   due      - still needs doing in the current period
+//   met      - the period's target is already reached
+//   rest     - not a scheduled day
+export function getHabitStatus(habit, date = getToday()) {
+  const history = getHistory(habit);
+  const schedule = normalizeHabitFrequency(habit);
+  const period = periodContaining(schedule, date, getAnchor(habit, history) || date);
+  const count = countCompletions(history, period);
+  const required = getRequired(habit, period);
+  const skipType = getSkipType(habit, date);
+
+  let status = 'due';
+  if (history.includes(date)) {
+    status = 'done';
+  } else if (skipType) {
+    status = 'skipped';
+  } else if (schedule.frequency === 'weekdays' && period.start !== date) {
+    status = 'rest';
+  } else if (count >= required) {
+    status = 'met';
+  }
+
+  return {
+    status,
+    skipType,
+    count,
+    required,
+    value: getHabitValue(habit, date),
+    target: getHabitTarget(habit)
+  };
+}
+
+export function isHabitDue(habit, date = getToday()) {
+  return getHabitStatus(habit, date).status === 'due';
+}
+
+// Returns a copy of the habit with `value` logged on `date` and its streaks
+// recomputed, so backfilled dates land in the right periods.
+export function withValue(habit, date, value, today = getToday()) {
+  const normalized = normalizeHabitValues(habit);
+  const values = { ...normalized.values };
+  if (value > 0) {
+    values[date] = value;
+  } else {
+    delete values[date];
+  }
+
+  const updated = normalizeHabitValues({ ...normalized, values, completionHistory: [] });
+  updated.lastCompleted = updated.completionHistory[updated.completionHistory.length - 1] || null;
+
+  return { ...updated, ...computeHabitStreaks(updated, today) };
+}
+
+// Excuses a day with 'skip' or 'freeze', or clears it with null
+export function withSkip(habit, date, type, today = getToday()) {
+  const skippedDays = { ...habit.skippedDays };
+  if (SKIP_TYPES.includes(type)) {
+    skippedDays[date] = type;
+  } else {
+    delete skippedDays[date];
+  }
+
+  const updated = { ...habit, skippedDays };
+  return { ...updated, ...computeHabitStreaks(updated, today) };
+}
+
+// Marks a whole day done (the full target) or clears it
+export function withCompletion(habit, date, completed = true, today = getToday()) {
+  return withValue(habit, date, completed ? getHabitTarget(habit) : 0, today);
+}
+
+// The dashboard's water tracker, as a regular quantitative habit. `intake`
+// is the old { date, glasses, goal } record.
+export function createWaterHabit(goal, intake = null) {
+  const now = new Date().toISOString();
+  const values = intake?.date && intake.glasses > 0 ? { [intake.date]: intake.glasses } : {};
+
+  return normalizeHabitValues({
+    id: WATER_HABIT_ID,
+    name: 'Drink water',
+    frequency: 'daily',
+    target: intake?.goal || goal || 8,
+    unit: 'glasses',
+    values,
+    completionHistory: [],
+    currentStreak: 0,
+    longestStreak: 0,
+    createdAt: now,
+    updatedAt: now,
+    synced: false
+  });
+}
@@ -0,0 +1,218 @@
+// Spending insights for DailyTrack
+//
+// Period comparisons, per-category trend lines, unusually large expenses and
+// a month-end forecast. Amounts are in the default currency; split expenses
+// count towards each of their categories and expenses with no known
+// exchange rate are left out.
+import { getBudgetPeriod, getBudgetStatus } from './budgets.js';
+import { addDays, addMonths, daysBetween, getToday } from './dates.js';
+import { getConvertedParts } from './splits.js';
+import { createChargeExpense, getScheduledCharges } from './subscriptions.js';
+
+// An expense is unusual once its category has enough history and it is
+// both well above the spread of earlier amounts and clearly above average
+const UNUSUAL_MIN_HISTORY = 5;
+const UNUSUAL_DEVIATIONS = 2;
+const UNUSUAL_MIN_RATIO = 1.5;
+
+// { total, byCategory } for expenses dated start..end
+function sumRange(expenses, start, end) {
+  const summary = { total: 0, byCategory: {} };
+
+  expenses.forEach(expense => {
+    if (expense.date < start || expense.date > end) return;
+
+    (getConvertedParts(expense) || []).forEach(part => {
+      summary.total += part.amount;
+      summary.byCategory[part.category] = (summary.byCategory[part.category] || 0) + part.amount;
+    });
+  });
+
+  return summary;
+}
+
+// Relative change in percent, null when there is nothing to compare with
+export function getChangePercent(current, previous) {
+  return previous > 0 ? ((current - previous) / previous) * 100 : null;
+}
+
+function compareRanges(expenses, current, previous) {
+  const now = sumRange(expenses, current.start, current.end);
+  const before = sumRange(expenses, previous.start, previous.end);
+  const categories = new Set([...Object.keys(now.byCategory), ...Object.keys(before.byCategory)]);
+
+  return {
+    current: { ...current, total: now.total },
+    previous: { ...previous, total: before.total },
+    change: now.total - before.total,
+    percent: getChangePercent(now.total, before.total),
+    byCategory: Array.from(categories, category => {
+      const value = now.byCategory[category] || 0;
+      const earlier = before.byCategory[category] || 0;
+      return {
+        category,
+        current: value,
+        previous: earlier,
+        change: value - earlier,
+        percent: getChangePercent(value, earlier)
+      };
+    }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+  };
+}
+
+// Month-to-date spending against the same days of last month and of the
+// same month last year:
+//   { monthOverMonth, yearOverYear }, each
+//   { current: { start, end, total }, previous: { start, end, total },
+//     change, percent, byCategory: [{ category, current, previous, change, percent }] }
+// Categories are ordered by the size of their change.
+export function compareSpending(expenses, date = getToday()) {
+  const current = { start: `${date.slice(0, 7)}-01`, end: date };
+  const shifted = (months) => ({ start: addMonths(current.start, months), end: addMonths(date, months) });
+
+  return {
+    monthOverMonth: compareRanges(expenses, current, shifted(-1)),
+    yearOverYear: compareRanges(expenses, current, shifted(-12))
+  };
+}
+
+// Least-squares change per step
+function getSlope(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return numerator / denominator;
+}
+
+// Monthly totals for the `months` months up to the one containing `date`,
+// oldest first:
+//   { months: ['2026-05', ...], total: [...],
+//     categories: [{ category, values: [...], average, slope }] }
+// The current month is still running, so `average` and `slope` (change per
+// month) only look at the complete months before it. Categories are ordered
+// by total spending.
+export function getCategoryTrendLines(expenses, date = getToday(), months = 6) {
+  const firstMonth = addMonths(`${date.slice(0, 7)}-01`, -(months - 1));
+  const keys = Array.from({ length: months }, (_, index) => addMonths(firstMonth, index).slice(0, 7));
+  const total = keys.map(() => 0);
+  const byCategory = new Map();
+
+  expenses.forEach(expense => {
+    if (expense.date < firstMonth || expense.date > date) return;
+
+    const index = keys.indexOf(expense.date.slice(0, 7));
+    (getConvertedParts(expense) || []).forEach(part => {
+      if (!byCategory.has(part.category)) byCategory.set(part.category, keys.map(() => 0));
+      byCategory.get(part.category)[index] += part.amount;
+      total[index] += part.amount;
+    });
+  });
+
+  const categories = Array.from(byCategory, ([category, values]) => {
+    const complete = values.slice(0, -1);
+    return {
+      category,
+      values,
+      average: complete.length ? complete.reduce((sum, value) => sum + value, 0) / complete.length : 0,
+      slope: getSlope(complete)
+    };
+  });
+  const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+  return {
+    months: keys,
+    total,
+    categories: categories.sort((a, b) => sum(b.values) - sum(a.values))
+  };
+}
+
+// Expenses from the last `days` days that are far larger than earlier
+// expenses in the same category, most unusual first:
+//   [{ expense, category, amount, average, ratio }]
+// Each part of a split expense is judged against its own category.
+export function findUnusualExpenses(expenses, date = getToday(), days = 30) {
+  const since = addDays(date, -(days - 1));
+  const history = new Map();
+  const unusual = [];
+
+  expenses
+    .filter(expense => expense.date <= date)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+    .forEach(expense => {
+      (getConvertedParts(expense) || []).forEach(part => {
+        const amounts = history.get(part.category) || [];
+
+        if (expense.date >= since && amounts.length >= UNUSUAL_MIN_HISTORY) {
+          const average = amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+          const deviation = Math.sqrt(amounts.reduce((sum, value) => sum + (value - average) ** 2, 0) / amounts.length);
+
+          if (part.amount > average + UNUSUAL_DEVIATIONS * deviation && part.amount >= UNUSUAL_MIN_RATIO * average) {
+            unusual.push({ expense, category: part.category, amount: part.amount, average, ratio: part.amount / average });
+          }
+        }
+
+        amounts.push(part.amount);
+        history.set(part.category, amounts);
+      });
+    });
+
+  return unusual.sort((a, b) => b.ratio - a.ratio);
+}
+
+// Month-end spending if the pace so far keeps up:
+//   { start, end, daysElapsed, daysInMonth, spent, dailyPace, scheduled,
+//     projected, budgets: [{ budget, spent, limit, projected, percent, over }] }
+// Charges of recurring expenses (see subscriptions.js) are fixed rather than
+// a pace: those already made count once and the ones still due this month
+// (`scheduled`) are added, while `dailyPace` is the pace of everything
+// else. Only monthly budgets are projected; `percent` is the projected
+// share of the limit and `over` the amount it would be exceeded by.
+export function forecastSpending(expenses, budgets = [], recurringExpenses = [], date = getToday()) {
+  const { start, end } = getBudgetPeriod('month', date);
+  const daysElapsed = daysBetween(start, date) + 1;
+  const daysInMonth = daysBetween(start, end) + 1;
+  const project = (amount) => (amount / daysElapsed) * daysInMonth;
+
+  const upcoming = recurringExpenses.flatMap(template =>
+    getScheduledCharges(template, date, end).map(chargeDate => createChargeExpense(template, chargeDate)));
+  const variable = sumRange(expenses.filter(expense => !expense.recurringId), start, date);
+  const charged = sumRange(expenses.filter(expense => expense.recurringId), start, date);
+  const scheduled = sumRange(upcoming, start, end);
+  // For one category, or all spending for ''
+  const amountFor = (summary, category) => category ? summary.byCategory[category] || 0 : summary.total;
+  const projectFor = (category) =>
+    project(amountFor(variable, category)) + amountFor(charged, category) + amountFor(scheduled, category);
+
+  return {
+    start,
+    end,
+    daysElapsed,
+    daysInMonth,
+    spent: variable.total + charged.total,
+    dailyPace: variable.total / daysElapsed,
+    scheduled: scheduled.total,
+    projected: projectFor(''),
+    budgets: budgets
+      .filter(budget => budget.period === 'month')
+      .map(budget => {
+        const status = getBudgetStatus(budget, expenses.filter(expense => expense.date <= date), date);
+        const projected = projectFor(budget.category);
+        return {
+          budget,
+          spent: status.spent,
+          limit: status.limit,
+          projected,
+          percent: status.limit > 0 ? (projected / status.limit) * 100 : (projected > 0 ? Infinity : 0),
+          over: Math.max(0, projected - status.limit)
+        };
+      })
+  };
+}
@@ -0,0 +1,161 @@
+// Markdown rendering for DailyTrack
+//
+// Journal entries are written in a small Markdown dialect: headings, bullet
+// and numbered lists, task checkboxes (- [ ] / - [x]), quotes, code, rules,
+// **bold**, *italic*, ~~strike~~, `code` and [links](https://...).
+//
+// Everything user-typed goes through escapeHtml() before any markup is
+// added, so the output only ever contains the tags produced here. Link
+// targets are limited to http(s) and mailto. One-line text such as task
+// titles and expense descriptions uses renderInline().
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// [label](url); the URL may hold one level of parentheses, as in
+// wiki/Foo_(bar) or javascript:alert(1), so the whole link is matched
+const LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+const TASK_ITEM = /^(\s*[-*+]\s+)\[( |x|X)\](\s|$)/;
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function emphasize(html) {
+  return html
+    .replace(/\*\*\*(.+?)\*\*\*|___(.+?)___/g, (_, a, b) => `<strong><em>${a ?? b}</em></strong>`)
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)|(^|\W)_(?!\s)(.+?)_(?!\w)/g,
+      (_, pre1, a, pre2, b) => `${pre1 ?? pre2}<em>${a ?? b}</em>`)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+}
+
+// Inline markup on one line of text. Code spans and links are set aside
+// while emphasis is applied, so URLs and code keep their * and _.
+export function renderInline(text) {
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  let html = escapeHtml(String(text ?? '').replace(/\u0000/g, ''))
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+    .replace(LINK, (match, label, url) => {
+      // The URL was escaped with the rest of the text, so it cannot close
+      // the attribute; unsafe schemes keep only the label
+      return SAFE_URL.test(url.replace(/&amp;/g, '&'))
+        ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${emphasize(label)}</a>`)
+        : label;
+    });
+
+  html = emphasize(html);
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => held[index]);
+  }
+  return html;
+}
+
+// Block markup. With `interactive`, task checkboxes are enabled and carry
+// the source line they came from in `data-line` (see toggleTaskItem).
+export function renderMarkdown(source, { interactive = false } = {}) {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null; // 'ul' | 'ol'
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      html.push(`</${list}>`);
+      list = null;
+    }
+  };
+  const openList = (type) => {
+    if (list !== type) {
+      closeList();
+      html.push(`<${type}>`);
+      list = type;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    let match;
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      closeList();
+      const code = [];
+      while (++index < lines.length && !/^\s*```/.test(lines[index])) {
+        code.push(lines[index]);
+      }
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushParagraph();
+      closeList();
+      // Entries sit inside cards, so # starts at <h3>
+      const level = Math.min(6, match[1].length + 2);
+      html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      closeList();
+      html.push('<hr>');
+    } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${renderInline(match[1])}</blockquote>`);
+    } else if ((match = line.match(TASK_ITEM))) {
+      flushParagraph();
+      openList('ul');
+      const checked = match[2] !== ' ' ? ' checked' : '';
+      const attributes = interactive ? ` data-line="${index}"` : ' disabled';
+      html.push(`<li class="md-task"><input type="checkbox"${checked}${attributes}> ${renderInline(line.slice(match[0].length))}</li>`);
+    } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+      flushParagraph();
+      openList('ul');
+      html.push(`<li>${renderInline(match[1])}</li>`);
+    } else if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+      flushParagraph();
+      openList('ol');
+      html.push(`<li>${renderInline(match[1])}</li>`);
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  closeList();
+  return html.join('');
+}
+
+// The source with the checkbox on `line` ticked or cleared
+export function toggleTaskItem(source, line, checked) {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  if (TASK_ITEM.test(lines[line] || '')) {
+    lines[line] = lines[line].replace(TASK_ITEM, (_, bullet, __, after) => `${bullet}[${checked ? 'x' : ' '}]${after}`);
+  }
+  return lines.join('\n');
+}
+
+// Plain text for previews, without Markdown syntax
+export function stripMarkdown(source) {
+  return String(source ?? '')
+    .replace(/```/g, '')
+    .replace(/^\s*#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^(\s*[-*+]\s+)\[( |x|X)\]\s*/gm, '$1')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(LINK, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?!\w)/g, '$1$2')
+    .trim();
+}
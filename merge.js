@@ -0,0 +1,168 @@
+// Field-level merging of synced records for DailyTrack
+//
+// When a record changed both here and on another device, the two versions
+// are compared field by field against the base: the last version both
+// sides agreed on (what was last uploaded or pulled, see sync.js). A field
+// changed on only one side takes that side's value; a field changed on
+// both sides to different values is a conflict for the user to review.
+//
+//   mergeRecords(base, local, remote, storeName)
+//     -> { merged, conflicts: [{ field, base, local, remote }] }
+//
+// Conflicting fields keep the local value in `merged` until resolved, except
+// for UNION_FIELDS, where both sides' entries are kept. DERIVED_FIELDS are
+// not merged at all but computed again from the merged record.
+import { computeHabitStreaks } from './habits.js';
+
+// Stores whose records are pushed to and pulled from the sync server, each
+// under /api/<store>. Settings are a single record with their own endpoint;
+// attachments hold Blobs and only travel in backups.
+export const SYNCED_STORES = [
+  'tasks', 'expenses', 'income', 'budgets', 'recurringExpenses', 'accounts', 'transfers',
+  'settlements', 'exchangeRates', 'categoryRules', 'habits', 'journal', 'activityLog'
+];
+
+// Bookkeeping, never merged field by field
+export const SYNC_META_FIELDS = ['id', 'createdAt', 'updatedAt', 'synced'];
+
+// Maps of date -> value; where both sides have a date, `pick` decides
+function unionMaps(pick) {
+  return (a, b) => {
+    const merged = { ...(b || {}) };
+    Object.entries(a || {}).forEach(([key, value]) => {
+      merged[key] = key in merged ? pick(value, merged[key]) : value;
+    });
+    return merged;
+  };
+}
+
+// Per store, fields that collect entries from every device: habit days
+// logged on the phone and on the laptop all count. The first argument is
+// the preferred side.
+export const UNION_FIELDS = {
+  habits: {
+    completionHistory: (a, b) => Array.from(new Set([...(a || []), ...(b || [])])).sort(),
+    values: unionMaps(Math.max),
+    skippedDays: unionMaps(value => value)
+  }
+};
+
+// Per store, fields computed from the others: streaks and the last
+// completion follow from a habit's history, whichever device logged it
+export const DERIVED_FIELDS = {
+  habits: {
+    fields: ['currentStreak', 'longestStreak', 'lastCompleted'],
+    derive: habit => ({
+      ...computeHabitStreaks(habit),
+      lastCompleted: (habit.completionHistory || []).slice(-1)[0] || null
+    })
+  }
+};
+
+export function getDerivedFields(storeName) {
+  return DERIVED_FIELDS[storeName]?.fields || [];
+}
+
+// `record` with its derived fields computed again
+export function deriveFields(storeName, record) {
+  const derived = DERIVED_FIELDS[storeName];
+  return derived ? { ...record, ...derived.derive(record) } : record;
+}
+
+// `record` with its union fields extended by the entries of `other`
+export function unionFields(storeName, record, other) {
+  const unions = UNION_FIELDS[storeName];
+  if (!unions || !other) return record;
+
+  const merged = { ...record };
+  Object.entries(unions).forEach(([field, union]) => {
+    if (record[field] !== undefined || other[field] !== undefined) {
+      merged[field] = union(record[field], other[field]);
+    }
+  });
+  return deriveFields(storeName, merged);
+}
+
+// Key of a record's base snapshot and of its conflict, e.g. 'tasks:42'
+export function getSyncKey(storeName, id) {
+  return `${storeName}:${id}`;
+}
+
+export function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+export function mergeRecords(base, local, remote, storeName = null) {
+  const merged = { ...local };
+  const conflicts = [];
+  const unions = UNION_FIELDS[storeName] || {};
+  const skipped = [...SYNC_META_FIELDS, ...getDerivedFields(storeName)];
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+  fields.forEach(field => {
+    if (skipped.includes(field)) return;
+
+    const mine = local[field];
+    const theirs = remote[field];
+    const original = base?.[field];
+
+    if (isEqual(mine, theirs) || (isEqual(mine, original) && !isEqual(theirs, original))) {
+      // Same on both sides, or changed only remotely
+      if (theirs === undefined) delete merged[field];
+      else merged[field] = theirs;
+    } else if (!isEqual(mine, original) && !isEqual(theirs, original)) {
+      if (unions[field]) merged[field] = unions[field](mine, theirs);
+      else conflicts.push({ field, base: original, local: mine, remote: theirs });
+    }
+    // Otherwise only the local side changed and `merged` already has it
+  });
+
+  if (!merged.createdAt && remote.createdAt) merged.createdAt = remote.createdAt;
+  return { merged: deriveFields(storeName, merged), conflicts };
+}
+
+// Applies the user's pick for each conflicting field to `record`:
+//   choices: { [field]: { source: 'local' | 'remote' | 'manual', value } }
+// Fields without a choice keep the local value.
+export function resolveConflictFields(record, conflict, choices = {}) {
+  const resolved = { ...record };
+
+  conflict.fields.forEach(({ field, local, remote }) => {
+    const choice = choices[field] || { source: 'local' };
+    const value = choice.source === 'remote' ? remote : choice.source === 'manual' ? choice.value : local;
+    if (value === undefined) delete resolved[field];
+    else resolved[field] = value;
+  });
+
+  return resolved;
+}
+
+// Reads a manually typed value back into the type of the field it replaces;
+// throws when a non-text field gets something that is not valid JSON
+export function parseManualValue(text, example) {
+  if (typeof example === 'string' || example === undefined) return text;
+  if (typeof example === 'number') {
+    const number = Number(text);
+    if (text.trim() === '' || Number.isNaN(number)) throw new Error('Enter a number');
+    return number;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Enter valid JSON');
+  }
+}
+
+// Text shown for a field value in the review screen
+export function formatFieldValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -0,0 +1,371 @@
+// Versioned schema migrations for DailyTrackDB
+//
+// Each step runs inside the versionchange transaction of
+// indexedDB.open(). Steps receive the raw IDBDatabase, the upgrade
+// transaction and a `done` callback, so they can be exercised against
+// fake-indexeddb as well as a real browser database. A step calls `done`
+// once it has issued its last request; only then does the next step start,
+// so it sees every record the previous ones wrote. Steps must not await
+// anything but IndexedDB requests: the upgrade transaction commits as soon
+// as no requests are pending.
+import { createLegacyAccount } from './accounts.js';
+import { WATER_HABIT_ID, createWaterHabit, normalizeHabitValues } from './habits.js';
+
+// Schema helpers
+export function ensureStore(db, transaction, name, options = { keyPath: 'id' }) {
+  if (db.objectStoreNames.contains(name)) {
+    return transaction.objectStore(name);
+  }
+  return db.createObjectStore(name, options);
+}
+
+export function ensureIndex(store, name, keyPath, options = {}) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, options);
+  }
+}
+
+export function dropIndex(store, name) {
+  if (store.indexNames.contains(name)) {
+    store.deleteIndex(name);
+  }
+}
+
+// Calls `run(item, next)` for each item in turn, then `done`
+export function inSequence(items, run, done = () => {}) {
+  const runFrom = (index) => {
+    if (index < items.length) {
+      run(items[index], () => runFrom(index + 1));
+    } else {
+      done();
+    }
+  };
+  runFrom(0);
+}
+
+// Walks every record in a store; `transform` returns the record to write
+// back, or undefined to leave it untouched. `done` runs after the last
+// record, when every write has been issued.
+export function transformRecords(store, transform, done = () => {}) {
+  const request = store.openCursor();
+
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      done();
+      return;
+    }
+
+    const updated = transform({ ...cursor.value });
+    if (updated !== undefined) {
+      cursor.update(updated);
+    }
+    cursor.continue();
+  };
+}
+
+const USER_DATA_STORES = ['tasks', 'expenses', 'habits', 'journal'];
+
+// Ordered list of migration steps. Never edit a released step - append a new
+// one with the next version number instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Core stores for tasks, expenses, habits, journal and settings',
+    migrate(db, transaction, done) {
+      const tasks = ensureStore(db, transaction, 'tasks');
+      ensureIndex(tasks, 'by-date', 'createdAt');
+      ensureIndex(tasks, 'by-priority', 'priority');
+      ensureIndex(tasks, 'by-completed', 'completed');
+      ensureIndex(tasks, 'by-dueDate', 'dueDate');
+
+      const expenses = ensureStore(db, transaction, 'expenses');
+      ensureIndex(expenses, 'by-date', 'date');
+      ensureIndex(expenses, 'by-category', 'category');
+      ensureIndex(expenses, 'by-amount', 'amount');
+
+      const habits = ensureStore(db, transaction, 'habits');
+      ensureIndex(habits, 'by-streak', 'currentStreak');
+      ensureIndex(habits, 'by-frequency', 'frequency');
+
+      const journal = ensureStore(db, transaction, 'journal');
+      ensureIndex(journal, 'by-date', 'date');
+      ensureIndex(journal, 'by-mood', 'mood');
+
+      ensureStore(db, transaction, 'settings');
+      done();
+    }
+  },
+  {
+    version: 2,
+    description: 'Activity log and sync queue',
+    migrate(db, transaction, done) {
+      const activityLog = ensureStore(db, transaction, 'activityLog');
+      ensureIndex(activityLog, 'by-timestamp', 'timestamp');
+      ensureIndex(activityLog, 'by-type', 'type');
+
+      const syncQueue = ensureStore(db, transaction, 'syncQueue', { keyPath: 'id', autoIncrement: true });
+      ensureIndex(syncQueue, 'by-type', 'type');
+      ensureIndex(syncQueue, 'by-status', 'status');
+      done();
+    }
+  },
+  {
+    version: 3,
+    description: 'Daily analytics store',
+    migrate(db, transaction, done) {
+      const analytics = ensureStore(db, transaction, 'analytics', { keyPath: 'date' });
+      ensureIndex(analytics, 'by-metric', 'metric');
+      done();
+    }
+  },
+  {
+    version: 4,
+    description: 'Backfill updatedAt/synced, fix analytics indexes, add error log',
+    migrate(db, transaction, done) {
+      const now = new Date().toISOString();
+
+      // Databases first created by the old service worker (its own v2
+      // schema) never ran the app's v1-v3 steps. They are idempotent, so
+      // replay them before touching any store.
+      MIGRATIONS.filter(step => step.version < 4)
+        .forEach(step => step.migrate(db, transaction, () => {}));
+
+      dropIndex(transaction.objectStore('tasks'), 'by-sync');
+
+      // Analytics rows never carried a `metric` field; queries go by date
+      const analytics = transaction.objectStore('analytics');
+      dropIndex(analytics, 'by-metric');
+      ensureIndex(analytics, 'by-date', 'date');
+
+      const errorLog = ensureStore(db, transaction, 'errorLog', { keyPath: 'id', autoIncrement: true });
+      ensureIndex(errorLog, 'by-timestamp', 'timestamp');
+
+      inSequence(USER_DATA_STORES, (storeName, next) => {
+        const store = transaction.objectStore(storeName);
+        ensureIndex(store, 'by-updatedAt', 'updatedAt');
+
+        transformRecords(store, (record) => {
+          if (record.updatedAt && typeof record.synced === 'boolean' && record.sync === undefined) {
+            return undefined;
+          }
+
+          record.updatedAt = record.updatedAt || record.createdAt || now;
+
+          // The old service worker tracked sync state as `sync: 'synced'`
+          if (record.sync !== undefined) {
+            record.synced = record.sync === 'synced';
+            delete record.sync;
+          }
+          if (typeof record.synced !== 'boolean') {
+            record.synced = false;
+          }
+
+          return record;
+        }, next);
+      }, done);
+    }
+  },
+  {
+    version: 5,
+    description: 'Quantitative habits; water intake becomes a habit',
+    migrate(db, transaction, done) {
+      const habits = transaction.objectStore('habits');
+      const settings = transaction.objectStore('settings');
+
+      // Fold the settings-based water tracker into a habit, carrying over
+      // the goal and today's glasses
+      const foldWaterIntake = () => {
+        const general = settings.get('general');
+        general.onsuccess = () => {
+          const intake = settings.get('waterIntake');
+          intake.onsuccess = () => {
+            const existing = habits.get(WATER_HABIT_ID);
+            existing.onsuccess = () => {
+              if (!existing.result) {
+                habits.put(createWaterHabit(general.result?.waterGoal, intake.result));
+              }
+              settings.delete('waterIntake');
+              done();
+            };
+          };
+        };
+      };
+
+      transformRecords(habits, habit => normalizeHabitValues(habit), foldWaterIntake);
+    }
+  },
+  {
+    version: 6,
+    description: 'Budgets store',
+    migrate(db, transaction, done) {
+      const budgets = ensureStore(db, transaction, 'budgets');
+      ensureIndex(budgets, 'by-category', 'category');
+      ensureIndex(budgets, 'by-updatedAt', 'updatedAt');
+      done();
+    }
+  },
+  {
+    version: 7,
+    description: 'Per-expense currency and exchange-rate table',
+    migrate(db, transaction, done) {
+      const rates = ensureStore(db, transaction, 'exchangeRates');
+      ensureIndex(rates, 'by-date', 'date');
+
+      // Existing expenses were all entered in the default currency
+      const general = transaction.objectStore('settings').get('general');
+      general.onsuccess = () => {
+        const currency = general.result?.defaultCurrency || 'USD';
+        transformRecords(transaction.objectStore('expenses'), (expense) => {
+          if (expense.currency) return undefined;
+          return { ...expense, currency };
+        }, done);
+      };
+    }
+  },
+  {
+    version: 8,
+    description: 'Income store',
+    migrate(db, transaction, done) {
+      const income = ensureStore(db, transaction, 'income');
+      ensureIndex(income, 'by-date', 'date');
+      ensureIndex(income, 'by-category', 'category');
+      ensureIndex(income, 'by-updatedAt', 'updatedAt');
+      done();
+    }
+  },
+  {
+    version: 9,
+    description: 'Recurring expense templates',
+    migrate(db, transaction, done) {
+      const recurring = ensureStore(db, transaction, 'recurringExpenses');
+      ensureIndex(recurring, 'by-updatedAt', 'updatedAt');
+      done();
+    }
+  },
+  {
+    version: 10,
+    description: 'Learned category rules for statement imports',
+    migrate(db, transaction, done) {
+      const rules = ensureStore(db, transaction, 'categoryRules');
+      ensureIndex(rules, 'by-category', 'category');
+      done();
+    }
+  },
+  {
+    version: 11,
+    description: 'Settle-up entries for shared expenses',
+    migrate(db, transaction, done) {
+      const settlements = ensureStore(db, transaction, 'settlements');
+      ensureIndex(settlements, 'by-date', 'date');
+      done();
+    }
+  },
+  {
+    version: 12,
+    description: 'Photo attachments for expenses and journal entries',
+    migrate(db, transaction, done) {
+      const attachments = ensureStore(db, transaction, 'attachments');
+      ensureIndex(attachments, 'by-parent', ['parentType', 'parentId']);
+      done();
+    }
+  },
+  {
+    version: 13,
+    description: 'Payment accounts and transfers; payment labels become accounts',
+    migrate(db, transaction, done) {
+      const accounts = ensureStore(db, transaction, 'accounts');
+      const transfers = ensureStore(db, transaction, 'transfers');
+      ensureIndex(transfers, 'by-date', 'date');
+
+      // Every label already used on an expense gets an account with the
+      // same id, opened on the first day it was used
+      const general = transaction.objectStore('settings').get('general');
+      general.onsuccess = () => {
+        const currency = general.result?.defaultCurrency || 'USD';
+        const firstUse = new Map();
+        const request = transaction.objectStore('expenses').openCursor();
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            const { payment, date } = cursor.value;
+            if (payment && (!firstUse.has(payment) || date < firstUse.get(payment))) {
+              firstUse.set(payment, date);
+            }
+            cursor.continue();
+            return;
+          }
+
+          firstUse.forEach((date, payment) => {
+            accounts.put(createLegacyAccount(payment, currency, date));
+          });
+          done();
+        };
+      };
+    }
+  },
+  {
+    version: 14,
+    description: 'Sync base snapshots and a conflicts store for field-level merging',
+    migrate(db, transaction, done) {
+      // Both keyed by getSyncKey(storeName, id) from merge.js
+      ensureStore(db, transaction, 'syncBase', { keyPath: 'key' });
+      const conflicts = ensureStore(db, transaction, 'syncConflicts', { keyPath: 'id' });
+      ensureIndex(conflicts, 'by-store', 'storeName');
+      done();
+    }
+  },
+  {
+    version: 15,
+    description: 'Tombstones for deletions waiting to be synced',
+    migrate(db, transaction, done) {
+      ensureStore(db, transaction, 'tombstones');
+      done();
+    }
+  },
+  {
+    version: 16,
+    description: 'Backfill updatedAt/synced for every synced store and the settings',
+    migrate(db, transaction, done) {
+      const now = new Date().toISOString();
+      const stores = ['income', 'budgets', 'recurringExpenses', 'accounts', 'transfers', 'settlements', 'exchangeRates', 'categoryRules', 'activityLog', 'settings'];
+
+      inSequence(stores, (storeName, next) => {
+        transformRecords(transaction.objectStore(storeName), (record) => {
+          if (storeName === 'settings' && record.id !== 'general') return undefined;
+          if (record.updatedAt && typeof record.synced === 'boolean') return undefined;
+
+          record.updatedAt = record.updatedAt || record.timestamp || record.createdAt || now;
+          if (typeof record.synced !== 'boolean') {
+            record.synced = false;
+          }
+          return record;
+        }, next);
+      }, done);
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs every step newer than oldVersion, up to and including newVersion,
+// each after the previous one is done. A step that throws aborts the
+// upgrade, which rolls the database back to its previous version.
+export function runMigrations(db, transaction, oldVersion, newVersion = LATEST_VERSION) {
+  const steps = MIGRATIONS.filter(
+    step => step.version > oldVersion && step.version <= newVersion
+  );
+
+  inSequence(steps, (step, next) => {
+    console.log(`Migrating DailyTrackDB to v${step.version}: ${step.description}`);
+    try {
+      step.migrate(db, transaction, next);
+    } catch (error) {
+      console.error('Database migration failed:', error);
+      transaction.abort();
+    }
+  });
+
+  return steps.map(step => step.version);
+}
@@ -1,4 +1,29 @@
 // Push notification manager
+import { db } from './db.js';
+import { apiRequest, isSyncConfigured } from './api.js';
+import { nextOccurrence } from './recurrence.js';
+import { formatMoney, getExpenseAmount } from './currency.js';
+import { addDays, daysAgo, daysBetween, getDueDateTime, getToday, zonedDateTime } from './dates.js';
+import { getHabitStatus, getStreakUnit } from './habits.js';
+import { getNextCharge } from './subscriptions.js';
+
+// All-day tasks are reminded on the morning they are due
+const ALL_DAY_REMINDER_TIME = '09:00';
+
+// Browsers run a setTimeout with a longer delay (about 24.8 days) at once
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Runs `callback` at `time`, waiting in steps when it is further away than
+// a single timeout can
+function setTimeoutAt(time, callback) {
+  const delay = time.getTime() - Date.now();
+  if (delay > MAX_TIMEOUT) {
+    setTimeout(() => setTimeoutAt(time, callback), MAX_TIMEOUT);
+  } else {
+    setTimeout(callback, Math.max(0, delay));
+  }
+}
+
 class PushManager {
   constructor() {
     this.subscription = null;
@@ -70,18 +95,12 @@ class PushManager {
     return subscription;
   }
 
+  // Server-sent pushes need the sync server to know this device
   async sendSubscriptionToServer() {
-    if (!this.subscription) return;
+    if (!this.subscription || !isSyncConfigured()) return;
 
     try {
-      await fetch('https://api.DailyTrack.app/push/subscribe', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.getAuthToken()}`
-        },
-        body: JSON.stringify(this.subscription)
-      });
+      await apiRequest('POST', '/push/subscribe', this.subscription);
     } catch (error) {
       console.error('Failed to send subscription to server:', error);
     }
@@ -107,6 +126,7 @@ class PushManager {
     this.notificationHandlers.set('daily-digest', this.handleDailyDigest.bind(this));
     this.notificationHandlers.set('streak-reminder', this.handleStreakReminder.bind(this));
     this.notificationHandlers.set('budget-alert', this.handleBudgetAlert.bind(this));
+    this.notificationHandlers.set('subscription-reminder', this.handleSubscriptionReminder.bind(this));
   }
 
   async showLocalNotification(title, options) {
@@ -132,7 +152,7 @@ class PushManager {
   // Notification types
   async showTaskReminder(task) {
     return await this.showLocalNotification('Task Reminder', {
-      body: `"${task.title}" is due ${this.getDueDateText(task.dueDate)}`,
+      body: `"${task.title}" is due ${this.getDueDateText(task.dueDate)}${task.dueTime ? ` at ${task.dueTime}` : ''}`,
       tag: `task-${task.id}`,
       data: {
         type: 'task-reminder',
@@ -164,7 +184,7 @@ class PushManager {
     }
     if (expensesToday > 0) {
       const status = expensesToday > budget ? '⚠️ Over' : '✓ Under';
-      body += `\n💰 ${status} budget: $${expensesToday}/$${budget}`;
+      body += `\n💰 ${status} budget: ${formatMoney(expensesToday)}/${formatMoney(budget)}`;
     }
     
     if (!body) {
@@ -181,9 +201,16 @@ class PushManager {
     });
   }
 
-  async showStreakReminder(streak) {
+  // Only nags about habits still due today - skipped, frozen and vacation
+  // days never put a streak at risk
+  async showStreakReminder(habit) {
+    const streak = habit.currentStreak || 0;
+    if (streak === 0 || getHabitStatus(habit).status !== 'due') {
+      return null;
+    }
+
     return await this.showLocalNotification('🔥 Keep Your Streak Alive!', {
-      body: `You have a ${streak} day streak going! Don't break it now.`,
+      body: `You have a ${streak} ${getStreakUnit(habit, streak)} streak going on "${habit.name}"! Don't break it now.`,
       tag: 'streak-reminder',
       data: {
         type: 'streak-reminder',
@@ -192,9 +219,13 @@ class PushManager {
     });
   }
 
-  async showBudgetAlert(category, amount, budget) {
+  async showBudgetAlert(category, amount, budget, threshold = 100) {
+    const body = threshold >= 100
+      ? `You've spent ${formatMoney(amount)} on ${category}, exceeding your ${formatMoney(budget)} budget.`
+      : `You've used ${threshold}% of your ${formatMoney(budget)} ${category} budget (${formatMoney(amount)} spent).`;
+
     return await this.showLocalNotification('💰 Budget Alert', {
-      body: `You've spent $${amount} on ${category}, exceeding your $${budget} budget.`,
+      body,
       tag: `budget-${category}`,
       data: {
         type: 'budget-alert',
@@ -204,6 +235,18 @@ class PushManager {
     });
   }
 
+  async showSubscriptionReminder(template, date) {
+    return await this.showLocalNotification('🔁 Upcoming Charge', {
+      body: `"${template.description}" renews ${this.getDueDateText(date)} for ${formatMoney(template.amount, template.currency)}.`,
+      tag: `subscription-${template.id}`,
+      data: {
+        type: 'subscription-reminder',
+        recurringId: template.id,
+        url: '/?view=expenses'
+      }
+    });
+  }
+
   // Handler methods
   async handleTaskReminder(notification) {
     const { taskId } = notification.data;
@@ -231,14 +274,15 @@ class PushManager {
     window.location.href = `/?view=expenses&category=${category}`;
   }
 
+  async handleSubscriptionReminder() {
+    window.location.href = '/?view=expenses';
+  }
+
   // Utility methods
   getDueDateText(dueDate) {
     if (!dueDate) return 'soon';
     
-    const today = new Date();
-    const due = new Date(dueDate);
-    const diffTime = due - today;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const diffDays = daysBetween(getToday(), dueDate);
     
     if (diffDays === 0) return 'today';
     if (diffDays === 1) return 'tomorrow';
@@ -247,49 +291,35 @@ class PushManager {
     return `in ${diffDays} days`;
   }
 
-  getAuthToken() {
-    return localStorage.getItem('auth_token');
-  }
-
   // Schedule notifications
   async scheduleDailyDigest(time = '20:00') {
     if (!('Notification' in window) || Notification.permission !== 'granted') {
       return false;
     }
 
-    const [hours, minutes] = time.split(':').map(Number);
     const now = new Date();
-    const scheduledTime = new Date(
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate(),
-      hours,
-      minutes,
-      0
-    );
+    let scheduledTime = zonedDateTime(getToday(), time);
 
     // If time already passed today, schedule for tomorrow
     if (scheduledTime < now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1);
+      scheduledTime = zonedDateTime(addDays(getToday(), 1), time);
     }
 
-    const delay = scheduledTime.getTime() - now.getTime();
-
-    setTimeout(async () => {
+    setTimeoutAt(scheduledTime, async () => {
       // Get daily stats
       const stats = await this.getDailyStats();
       await this.showDailyDigest(stats);
       
       // Schedule next day
       this.scheduleDailyDigest(time);
-    }, delay);
+    });
 
     console.log(`Daily digest scheduled for ${scheduledTime.toLocaleTimeString()}`);
     return true;
   }
 
   async getDailyStats() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getToday();
     
     const tasks = await db.getAll('tasks');
     const todayTasks = tasks.filter(task => 
@@ -300,7 +330,7 @@ class PushManager {
     const expenses = await db.getAll('expenses');
     const todayExpenses = expenses
       .filter(expense => expense.date === today)
-      .reduce((sum, exp) => sum + exp.amount, 0);
+      .reduce((sum, exp) => sum + (getExpenseAmount(exp) ?? 0), 0);
     
     const settings = await db.get('settings', 'general');
     const dailyBudget = settings?.dailyBudget || 50;
@@ -321,29 +351,71 @@ class PushManager {
     const tasks = await db.getAll('tasks');
     const uncompletedTasks = tasks.filter(task => !task.completed && task.dueDate);
     
+    // Only the latest open instance of a recurring series gets a reminder
+    const reminders = new Map();
     for (const task of uncompletedTasks) {
-      await this.scheduleTaskReminder(task);
+      const key = task.recurrence ? (task.seriesId || task.id) : task.id;
+      const current = reminders.get(key);
+      if (!current || task.dueDate > current.dueDate) {
+        reminders.set(key, task);
+      }
+    }
+    
+    for (const task of reminders.values()) {
+      await this.scheduleTaskReminder(this.getUpcomingInstance(task));
     }
   }
 
+  // An overdue recurring instance is reminded about at its next occurrence
+  getUpcomingInstance(task) {
+    const today = getToday();
+    if (!task.recurrence || task.dueDate >= today) return task;
+
+    const upcoming = nextOccurrence(
+      task.recurrence,
+      task.seriesStart || task.dueDate,
+      addDays(today, -1)
+    );
+
+    return upcoming ? { ...task, dueDate: upcoming } : task;
+  }
+
   async scheduleTaskReminder(task) {
     if (!task.dueDate) return;
 
-    const dueDate = new Date(task.dueDate);
-    const reminderTime = new Date(dueDate.getTime() - 2 * 60 * 60 * 1000); // 2 hours before
+    const reminderTime = task.dueTime
+      ? new Date(getDueDateTime(task).getTime() - 2 * 60 * 60 * 1000) // 2 hours before
+      : zonedDateTime(task.dueDate, ALL_DAY_REMINDER_TIME);
     
-    const now = new Date();
-    if (reminderTime < now) return;
+    if (reminderTime < new Date()) return;
 
-    const delay = reminderTime.getTime() - now.getTime();
-
-    setTimeout(async () => {
+    setTimeoutAt(reminderTime, async () => {
       await this.showTaskReminder(task);
-    }, delay);
+    });
 
     console.log(`Task reminder scheduled for ${reminderTime.toLocaleString()}`);
   }
 
+  // Reminds `reminderDays` before each template's next charge, in the
+  // morning like all-day tasks
+  async scheduleSubscriptionReminders() {
+    const templates = await db.getAll('recurringExpenses');
+
+    for (const template of templates) {
+      const date = getNextCharge(template);
+      if (!date) continue;
+
+      const reminderTime = zonedDateTime(addDays(date, -template.reminderDays), ALL_DAY_REMINDER_TIME);
+      if (reminderTime < new Date()) continue;
+
+      setTimeoutAt(reminderTime, async () => {
+        await this.showSubscriptionReminder(template, date);
+      });
+
+      console.log(`Subscription reminder scheduled for ${reminderTime.toLocaleString()}`);
+    }
+  }
+
   // Manage subscriptions
   async unsubscribeFromPush() {
     if (!this.subscription) return;
@@ -352,14 +424,9 @@ class PushManager {
       await this.subscription.unsubscribe();
       
       // Notify server
-      await fetch('https://api.DailyTrack.app/push/unsubscribe', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.getAuthToken()}`
-        },
-        body: JSON.stringify(this.subscription)
-      });
+      if (isSyncConfigured()) {
+        await apiRequest('POST', '/push/unsubscribe', this.subscription);
+      }
 
       this.subscription = null;
       console.log('Unsubscribed from push notifications');
@@ -415,14 +482,7 @@ class PushManager {
   }
 
   async getNotificationStatistics() {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const notificationMetrics = await db.getAnalytics(
-      thirtyDaysAgo.toISOString().split('T')[0],
-      new Date().toISOString().split('T')[0],
-      'notifications'
-    );
+    const notificationMetrics = await db.getAnalytics(daysAgo(30), getToday(), 'notifications');
 
     const stats = {
       total: notificationMetrics.length,
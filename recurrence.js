@@ -0,0 +1,264 @@
+// RRULE-style recurrence rules for DailyTrack tasks
+//
+// A rule looks like:
+//   { freq: 'weekly', interval: 1, byWeekday: [1, 3], until: null, count: null }
+//
+//   freq       'daily' | 'weekly' | 'monthly' | 'yearly'
+//   interval   repeat every N periods (default 1)
+//   byWeekday  weekly: weekdays to repeat on (0 = Sunday ... 6 = Saturday)
+//              monthly: single weekday used together with bySetPos
+//   byMonthDay monthly: day of the month (clamped to short months)
+//   bySetPos   monthly: which weekday of the month, 1-5 or -1 for the last
+//   until      optional last date (YYYY-MM-DD, inclusive)
+//   count      optional number of occurrences in the series
+//
+// All dates are calendar date strings (YYYY-MM-DD). Occurrences are anchored
+// to the series start so "every 2 weeks" stays on the same week parity.
+import { daysBetween, fromUTC, toUTC } from './dates.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' };
+const MAX_ITERATIONS = 5000;
+
+// Calendar helpers - UTC is used purely as a timezone-free calendar (see
+// dates.js)
+function parseDate(dateStr) {
+  return new Date(toUTC(dateStr));
+}
+
+function formatDate(date) {
+  return fromUTC(date);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function nthWeekdayOfMonth(year, month, weekday, position) {
+  if (position === -1) {
+    const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return addDays(last, -offset);
+  }
+
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  const day = 1 + offset + (position - 1) * 7;
+  return day <= daysInMonth(year, month) ? new Date(Date.UTC(year, month, day)) : null;
+}
+
+export function normalizeRecurrence(rule) {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) {
+    return null;
+  }
+
+  const normalized = {
+    freq: rule.freq,
+    interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+    until: rule.until || null,
+    count: parseInt(rule.count, 10) > 0 ? parseInt(rule.count, 10) : null
+  };
+
+  const weekdays = Array.from(new Set((rule.byWeekday || []).map(Number)))
+    .filter(day => day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+
+  if (rule.freq === 'weekly' && weekdays.length > 0) {
+    normalized.byWeekday = weekdays;
+  }
+
+  if (rule.freq === 'monthly') {
+    const position = parseInt(rule.bySetPos, 10);
+    if (weekdays.length > 0 && (position === -1 || (position >= 1 && position <= 5))) {
+      normalized.byWeekday = [weekdays[0]];
+      normalized.bySetPos = position;
+    } else if (rule.byMonthDay) {
+      normalized.byMonthDay = Math.min(31, Math.max(1, parseInt(rule.byMonthDay, 10)));
+    }
+  }
+
+  return normalized;
+}
+
+// Monthly rule parts matching a given date: day of month, or nth weekday
+export function monthlyPositionFor(dateStr, mode = 'day') {
+  const date = parseDate(dateStr);
+
+  if (mode === 'weekday') {
+    // A 5th weekday only exists in some months, so treat it as "last"
+    const position = Math.ceil(date.getUTCDate() / 7);
+    return {
+      byWeekday: [date.getUTCDay()],
+      bySetPos: position === 5 ? -1 : position
+    };
+  }
+
+  return { byMonthDay: date.getUTCDate() };
+}
+
+// Occurrence candidates of the given period (0 = the one holding the
+// series start), in date order; some may fall before the start
+function periodCandidates(rule, anchor, period) {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'daily':
+      return [addDays(anchor, step)];
+
+    case 'weekly': {
+      const weekStart = addDays(anchor, step * 7 - anchor.getUTCDay());
+      const weekdays = rule.byWeekday || [anchor.getUTCDay()];
+      return weekdays.map(day => addDays(weekStart, day));
+    }
+
+    case 'monthly': {
+      const month = anchor.getUTCMonth() + step;
+      const year = anchor.getUTCFullYear() + Math.floor(month / 12);
+      const monthIndex = month % 12;
+
+      if (rule.bySetPos) {
+        const date = nthWeekdayOfMonth(year, monthIndex, rule.byWeekday[0], rule.bySetPos);
+        return date ? [date] : [];
+      }
+      const day = Math.min(rule.byMonthDay || anchor.getUTCDate(), daysInMonth(year, monthIndex));
+      return [new Date(Date.UTC(year, monthIndex, day))];
+    }
+
+    case 'yearly': {
+      const year = anchor.getUTCFullYear() + step;
+      const month = anchor.getUTCMonth();
+      const day = Math.min(anchor.getUTCDate(), daysInMonth(year, month));
+      return [new Date(Date.UTC(year, month, day))];
+    }
+
+    default:
+      return [];
+  }
+}
+
+// The period holding `from`, worked out from the calendar so long-running
+// series do not have to be walked from their start
+function periodOf(rule, anchor, from) {
+  const target = parseDate(from);
+  if (target <= anchor) return 0;
+
+  let units;
+  switch (rule.freq) {
+    case 'daily':
+      units = daysBetween(formatDate(anchor), from);
+      break;
+    case 'weekly':
+      units = Math.floor((daysBetween(formatDate(anchor), from) + anchor.getUTCDay()) / 7);
+      break;
+    case 'monthly':
+      units = (target.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + target.getUTCMonth() - anchor.getUTCMonth();
+      break;
+    default:
+      units = target.getUTCFullYear() - anchor.getUTCFullYear();
+  }
+
+  return Math.floor(units / rule.interval);
+}
+
+// Occurrences in the periods before `period`, for counted series
+function countBefore(rule, anchor, period) {
+  if (period === 0) return 0;
+
+  const first = periodCandidates(rule, anchor, 0).filter(candidate => candidate >= anchor).length;
+  if (rule.bySetPos) {
+    // Not every month has a 5th weekday
+    let total = first;
+    for (let index = 1; index < period; index++) {
+      total += periodCandidates(rule, anchor, index).length;
+    }
+    return total;
+  }
+
+  const perPeriod = rule.freq === 'weekly' ? (rule.byWeekday || [anchor.getUTCDay()]).length : 1;
+  return first + (period - 1) * perPeriod;
+}
+
+// Yields the occurrence dates of the series in order, starting with the
+// period that holds `from`; earlier dates in that period come too
+function* iterate(rule, start, from = start) {
+  const anchor = parseDate(start);
+  const first = periodOf(rule, anchor, from);
+  let yielded = rule.count ? countBefore(rule, anchor, first) : 0;
+
+  // The limit only guards against rules that never produce a date
+  for (let period = first; period < first + MAX_ITERATIONS; period++) {
+    for (const candidate of periodCandidates(rule, anchor, period)) {
+      if (candidate < anchor) continue;
+
+      const dateStr = formatDate(candidate);
+      if (rule.until && dateStr > rule.until) return;
+      if (rule.count && yielded >= rule.count) return;
+
+      yielded++;
+      yield dateStr;
+    }
+  }
+}
+
+// First occurrence strictly after `after`, or null when the series has ended
+export function nextOccurrence(rule, start, after) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized || !start) return null;
+
+  for (const date of iterate(normalized, start, after)) {
+    if (date > after) {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+// All occurrences within [from, to], inclusive
+export function occurrencesBetween(rule, start, from, to) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized || !start) return [];
+
+  const dates = [];
+  for (const date of iterate(normalized, start, from)) {
+    if (date > to) break;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+}
+
+export function describeRecurrence(rule) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return '';
+
+  const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+  const unit = units[normalized.freq];
+  let text = normalized.interval === 1
+    ? `Every ${unit}`
+    : `Every ${normalized.interval} ${unit}s`;
+
+  if (normalized.freq === 'weekly' && normalized.byWeekday) {
+    text += ` on ${normalized.byWeekday.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  } else if (normalized.freq === 'monthly' && normalized.bySetPos) {
+    text += ` on the ${ORDINALS[normalized.bySetPos]} ${WEEKDAY_NAMES[normalized.byWeekday[0]]}`;
+  } else if (normalized.freq === 'monthly' && normalized.byMonthDay) {
+    text += ` on day ${normalized.byMonthDay}`;
+  }
+
+  if (normalized.until) {
+    text += ` until ${normalized.until}`;
+  } else if (normalized.count) {
+    text += `, ${normalized.count} times`;
+  }
+
+  return text;
+}
@@ -0,0 +1,1079 @@
+// Data repository for DailyTrack - single access layer over DailyTrackDB
+import { db } from './db.js';
+import { setSyncConfig } from './api.js';
+import { createLegacyAccount, getAccountBalance, getCreditStatement, normalizeAccount, normalizeTransfer } from './accounts.js';
+import { ATTACHMENT_PARENTS, createThumbnail, getStorageEstimate } from './attachments.js';
+import { getBudgetStatus, getPendingAlerts, normalizeBudget, withAlerts } from './budgets.js';
+import { addDays, getToday, setTimeZone } from './dates.js';
+import {
+  getCurrencySymbol,
+  getDefaultCurrency,
+  normalizeRate,
+  parseRatesFile,
+  setDefaultCurrency,
+  setExchangeRates
+} from './currency.js';
+import {
+  WATER_HABIT_ID,
+  computeHabitStreaks,
+  createWaterHabit,
+  normalizeHabitFrequency,
+  normalizeHabitValues,
+  setVacations,
+  withCompletion,
+  withSkip,
+  withValue
+} from './habits.js';
+import { SYNCED_STORES, resolveConflictFields } from './merge.js';
+import { nextOccurrence, normalizeRecurrence } from './recurrence.js';
+import {
+  findDuplicates,
+  isOfx,
+  learnRule,
+  parseCsv,
+  parseCsvStatement,
+  parseOfx,
+  suggestCategory,
+  toExpense
+} from './statements.js';
+import { getDebts, normalizeSharing, normalizeSplits } from './splits.js';
+import { createChargeExpense, getDueCharges, normalizeRecurringExpense } from './subscriptions.js';
+import {
+  findDependencyCycle,
+  getDependents,
+  getOpenBlockers,
+  getTaskProgress,
+  normalizeBlockedBy,
+  normalizeSubtasks
+} from './tasks.js';
+
+// localStorage keys written by the legacy inline AppData
+const LEGACY_KEYS = {
+  tasks: 'tasks',
+  expenses: 'expenses',
+  habits: 'habits',
+  habitLogs: 'habitLogs',
+  journal: 'journalEntries',
+  settings: 'settings',
+  activityLog: 'activityLog',
+  waterIntake: 'waterIntake'
+};
+
+const MIGRATION_FLAG = 'DailyTrack_localStorageMigrated';
+const ACTIVITY_LIMIT = 100;
+
+class DataRepository {
+  constructor() {
+    this.isInitialized = false;
+    this.migrationReport = null;
+  }
+
+  async init() {
+    if (this.isInitialized) {
+      return this.migrationReport;
+    }
+
+    await db.init();
+
+    if (!localStorage.getItem(MIGRATION_FLAG)) {
+      this.migrationReport = await this.migrateFromLocalStorage();
+    }
+
+    await this.applyStoredState();
+
+    this.isInitialized = true;
+    return this.migrationReport;
+  }
+
+  // Module-level state that mirrors stored settings and rates
+  async applyStoredState() {
+    const settings = await this.getSettings();
+    setTimeZone(settings.timeZone);
+    setVacations(settings.vacations);
+    setDefaultCurrency(settings.defaultCurrency);
+    setExchangeRates(await db.getAll('exchangeRates'));
+    setSyncConfig(settings);
+  }
+
+  // Task methods
+  async getTasks(filter = {}) {
+    return await db.getTasks(filter);
+  }
+
+  async getTask(id) {
+    return await db.get('tasks', id);
+  }
+
+  async saveTask(task) {
+    const record = this.stamp(task);
+    record.subtasks = normalizeSubtasks(record.subtasks);
+    record.blockedBy = normalizeBlockedBy(record.blockedBy, record.id);
+
+    // Only newly added links can introduce a cycle
+    const previous = await this.getTask(record.id);
+    const added = record.blockedBy.filter(id => !(previous?.blockedBy || []).includes(id));
+    if (added.length > 0) {
+      const cycle = findDependencyCycle(record.id, added, await this.getTasks());
+      if (cycle) {
+        const error = new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+        error.cycle = cycle;
+        throw error;
+      }
+    }
+
+    if (record.recurrence) {
+      await this.prepareRecurringTask(record);
+    } else {
+      delete record.recurrence;
+    }
+
+    await db.update('tasks', record);
+    return record;
+  }
+
+  // Marks a task done or not done. Completing an instance of a recurring
+  // series also creates the series' next instance, and `unblocked` lists the
+  // dependents that no longer wait on any open task.
+  async setTaskCompleted(taskId, completed) {
+    const task = await this.getTask(taskId);
+    if (!task) return { task: null, nextTask: null, unblocked: [] };
+
+    task.completed = completed;
+    task.completedAt = completed ? new Date().toISOString() : null;
+    const saved = await this.saveTask(task);
+
+    let nextTask = null;
+    if (completed && saved.recurrence && !saved.nextInstanceId) {
+      nextTask = await this.createNextOccurrence(saved);
+      if (nextTask) saved.nextInstanceId = nextTask.id;
+    }
+
+    let unblocked = [];
+    if (completed) {
+      const tasks = await this.getTasks();
+      unblocked = getDependents(taskId, tasks)
+        .filter(dependent => !dependent.completed && getOpenBlockers(dependent, tasks).length === 0);
+    }
+
+    return { task: saved, nextTask, unblocked };
+  }
+
+  // Adds a single "blocked by" link, rejecting links that would form a cycle
+  async addTaskDependency(taskId, blockerId) {
+    const task = await this.getTask(taskId);
+    if (!task) return null;
+
+    return await this.saveTask({
+      ...task,
+      blockedBy: [...(task.blockedBy || []), blockerId]
+    });
+  }
+
+  async removeTaskDependency(taskId, blockerId) {
+    const task = await this.getTask(taskId);
+    if (!task) return null;
+
+    return await this.saveTask({
+      ...task,
+      blockedBy: (task.blockedBy || []).filter(id => id !== blockerId)
+    });
+  }
+
+  // Toggles one checklist item. When the settings allow it, finishing the
+  // last open subtask completes the parent as well.
+  async toggleSubtask(taskId, subtaskId, completed) {
+    const task = await this.getTask(taskId);
+    const subtask = task?.subtasks?.find(item => item.id === subtaskId);
+    if (!subtask) return { task: task || null, nextTask: null, unblocked: [], autoCompleted: false };
+
+    subtask.completed = completed;
+    subtask.completedAt = completed ? new Date().toISOString() : null;
+    const saved = await this.saveTask(task);
+
+    const settings = await this.getSettings();
+    const progress = getTaskProgress(saved);
+    if (settings.autoCompleteParent && !saved.completed && progress.done === progress.total) {
+      const result = await this.setTaskCompleted(taskId, true);
+      return { ...result, autoCompleted: true };
+    }
+
+    return { task: saved, nextTask: null, unblocked: [], autoCompleted: false };
+  }
+
+  async createNextOccurrence(task) {
+    // Catch up rather than spawning an instance that is already overdue
+    const yesterdayStr = addDays(getToday(), -1);
+    const after = task.dueDate > yesterdayStr ? task.dueDate : yesterdayStr;
+
+    const dueDate = nextOccurrence(task.recurrence, task.seriesStart || task.dueDate, after);
+    if (!dueDate) return null;
+
+    const nextTask = {
+      ...task,
+      id: `${task.seriesId}-${dueDate}`,
+      dueDate,
+      completed: false,
+      completedAt: null,
+      nextInstanceId: null,
+      subtasks: (task.subtasks || []).map(subtask => ({
+        ...subtask,
+        completed: false,
+        completedAt: null
+      })),
+      synced: false,
+      createdAt: new Date().toISOString()
+    };
+
+    const savedNext = await this.saveTask(nextTask);
+    await db.update('tasks', { ...task, nextInstanceId: savedNext.id });
+    return savedNext;
+  }
+
+  async prepareRecurringTask(task) {
+    task.recurrence = normalizeRecurrence(task.recurrence);
+    if (!task.recurrence) {
+      delete task.recurrence;
+      return task;
+    }
+
+    task.dueDate = task.dueDate || getToday();
+    task.seriesId = task.seriesId || task.id;
+
+    // Editing the rule or moving the due date restarts the series from here
+    const previous = await db.get('tasks', task.id);
+    const ruleChanged = previous &&
+      JSON.stringify(previous.recurrence) !== JSON.stringify(task.recurrence);
+    if (!task.seriesStart || (previous && (previous.dueDate !== task.dueDate || ruleChanged))) {
+      task.seriesStart = task.dueDate;
+    }
+
+    return task;
+  }
+
+  // Deletes a task and drops it from its dependents' blockers. Returns the
+  // dependents that were updated.
+  async deleteTask(id) {
+    await db.deleteSynced('tasks', id);
+
+    const dependents = getDependents(id, await this.getTasks());
+    return await Promise.all(dependents.map(dependent => this.saveTask({
+      ...dependent,
+      blockedBy: dependent.blockedBy.filter(blockerId => blockerId !== id)
+    })));
+  }
+
+  // Expense methods
+  async getExpenses() {
+    const expenses = await db.getAll('expenses');
+    return expenses.sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  async getExpensesByPeriod(startDate, endDate) {
+    return await db.getExpensesByPeriod(startDate, endDate);
+  }
+
+  // Throws when category splits or shares do not add up to the amount
+  async saveExpense(expense) {
+    const record = this.stamp({ ...expense, currency: expense.currency || getDefaultCurrency() });
+    record.splits = normalizeSplits(record.splits, record.amount);
+    record.shared = normalizeSharing(record.shared, record.amount);
+    if (record.splits) {
+      record.category = record.splits[0].category;
+    }
+
+    // Re-categorizing an imported expense teaches the import rules
+    if (record.imported) {
+      const previous = await db.get('expenses', record.id);
+      if (previous && previous.category !== record.category) {
+        await this.learnCategoryRule(record.description, record.category);
+      }
+    }
+
+    await db.update('expenses', record);
+    return record;
+  }
+
+  async deleteExpense(id) {
+    await db.deleteSynced('expenses', id);
+    await db.deleteAttachments('expenses', id);
+  }
+
+  // Settle-up entries between people sharing expenses
+  async getSettlements() {
+    const settlements = await db.getAll('settlements');
+    return settlements.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  async saveSettlement(settlement) {
+    const amount = Number(settlement.amount);
+    if (!settlement.from || !settlement.to || settlement.from === settlement.to || !(amount > 0)) {
+      throw new Error('A settlement needs two different people and a positive amount');
+    }
+
+    const record = this.stamp({
+      ...settlement,
+      amount,
+      currency: settlement.currency || getDefaultCurrency(),
+      date: settlement.date || getToday()
+    });
+    await db.update('settlements', record);
+    return record;
+  }
+
+  async deleteSettlement(id) {
+    await db.deleteSynced('settlements', id);
+  }
+
+  // Who owes whom across all shared expenses: [{ from, to, amount }]
+  async getSharedBalances() {
+    const [expenses, settlements] = await Promise.all([db.getAll('expenses'), this.getSettlements()]);
+    return getDebts(expenses, settlements);
+  }
+
+  // Payment accounts and transfers between them
+  async getAccounts() {
+    const accounts = await db.getAll('accounts');
+    return accounts.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async saveAccount(account) {
+    const record = this.stamp(normalizeAccount(account));
+    await db.update('accounts', record);
+    return record;
+  }
+
+  // Accounts with history are kept so their expenses stay reconciled
+  async deleteAccount(id) {
+    const [expenses, transfers] = await Promise.all([db.getAll('expenses'), db.getAll('transfers')]);
+    if (expenses.some(expense => expense.payment === id) ||
+        transfers.some(transfer => transfer.from === id || transfer.to === id)) {
+      throw new Error('This account still has expenses or transfers');
+    }
+    await db.deleteSynced('accounts', id);
+  }
+
+  async getTransfers() {
+    const transfers = await db.getAll('transfers', 'by-date');
+    return transfers.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  // The amount is in the sending account's currency, which is recorded
+  // with the transfer
+  async saveTransfer(transfer) {
+    const record = normalizeTransfer(transfer);
+    const [from, to] = await Promise.all([db.get('accounts', record.from), db.get('accounts', record.to)]);
+    if (!from || !to) {
+      throw new Error('Unknown account');
+    }
+
+    const saved = this.stamp({ ...record, currency: from.currency });
+    await db.update('transfers', saved);
+    return saved;
+  }
+
+  async deleteTransfer(id) {
+    await db.deleteSynced('transfers', id);
+  }
+
+  // { [accountId]: balance } in each account's own currency
+  async getAccountBalances(date = getToday()) {
+    const [accounts, expenses, transfers] = await Promise.all([
+      this.getAccounts(),
+      db.getAll('expenses'),
+      this.getTransfers()
+    ]);
+    return Object.fromEntries(accounts.map(account => [
+      account.id,
+      getAccountBalance(account, expenses, transfers, date)
+    ]));
+  }
+
+  async getCreditStatement(accountId, date = getToday()) {
+    const [account, expenses, transfers] = await Promise.all([
+      db.get('accounts', accountId),
+      db.getAll('expenses'),
+      this.getTransfers()
+    ]);
+    return account ? getCreditStatement(account, expenses, transfers, date) : null;
+  }
+
+  // Statement import. A preview never writes anything; importStatement then
+  // adds the chosen rows in one batch.
+  //
+  // `mapping` is only used for CSV files (see guessCsvMapping). Returns
+  //   { format, currency, rows: [{ transaction, expense, suggested, duplicate }],
+  //     credits, invalid }
+  // where rows hold the debits, each with a suggested category.
+  async previewStatementImport(text, { mapping = null, currency = getDefaultCurrency() } = {}) {
+    let format = 'csv';
+    let transactions;
+
+    if (isOfx(text)) {
+      const statement = parseOfx(text);
+      format = 'ofx';
+      currency = statement.currency || currency;
+      transactions = statement.transactions;
+    } else {
+      if (!mapping) {
+        throw new Error('A column mapping is required for CSV files');
+      }
+      transactions = parseCsvStatement(parseCsv(text), mapping);
+    }
+
+    const valid = transactions.filter(t => t.date && t.amount !== null && t.description);
+    const debits = valid.filter(t => t.amount < 0);
+    const [existing, rules] = await Promise.all([db.getAll('expenses'), this.getCategoryRules()]);
+    const duplicates = findDuplicates(debits, existing);
+    const batchId = Date.now().toString();
+
+    const rows = debits.map((transaction, index) => {
+      const { category } = suggestCategory(transaction.description, rules);
+      return {
+        transaction,
+        expense: toExpense(transaction, category, currency, `${batchId}-${index}`),
+        suggested: category,
+        duplicate: duplicates[index]
+      };
+    });
+
+    return {
+      format,
+      currency,
+      rows,
+      credits: valid.length - debits.length,
+      invalid: transactions.length - valid.length
+    };
+  }
+
+  // Adds the preview rows' expenses (with any category the user picked) and
+  // learns from rows whose category differs from the suggestion. Returns
+  // the number of expenses added.
+  async importStatement(rows) {
+    if (rows.length === 0) return 0;
+
+    for (const row of rows) {
+      if (row.expense.category !== row.suggested) {
+        await this.learnCategoryRule(row.expense.description, row.expense.category);
+      }
+    }
+
+    await db.batchAdd('expenses', rows.map(row => this.stamp(row.expense)));
+    return rows.length;
+  }
+
+  async getCategoryRules() {
+    return await db.getAll('categoryRules');
+  }
+
+  async learnCategoryRule(description, category) {
+    const rule = learnRule(await this.getCategoryRules(), description, category);
+    if (!rule) return null;
+
+    const record = this.stamp(rule);
+    await db.update('categoryRules', record);
+    return record;
+  }
+
+  // Recurring expenses. Templates only write expenses through
+  // materializeRecurringExpenses, which is safe to run any number of times.
+  async getRecurringExpenses() {
+    const templates = await db.getAll('recurringExpenses');
+    return templates.sort((a, b) => a.description.localeCompare(b.description));
+  }
+
+  async saveRecurringExpense(template) {
+    const record = this.stamp(normalizeRecurringExpense(template));
+
+    // Resuming a paused template skips the charges missed while paused
+    const previous = await db.get('recurringExpenses', record.id);
+    const yesterday = addDays(getToday(), -1);
+    if (previous?.active === false && record.active && !(record.lastCharged >= yesterday)) {
+      record.lastCharged = yesterday;
+    }
+
+    await db.update('recurringExpenses', record);
+    return record;
+  }
+
+  // Expenses already written for the template are kept
+  async deleteRecurringExpense(id) {
+    await db.deleteSynced('recurringExpenses', id);
+  }
+
+  // Writes an expense for every charge due up to `date`, catching up on days
+  // the app was closed. Returns the new expenses.
+  async materializeRecurringExpenses(date = getToday()) {
+    const created = [];
+
+    for (const template of await this.getRecurringExpenses()) {
+      const charges = getDueCharges(template, date);
+      if (charges.length === 0) continue;
+
+      for (const chargeDate of charges) {
+        created.push(await this.saveExpense(createChargeExpense(template, chargeDate)));
+      }
+      await this.saveRecurringExpense({ ...template, lastCharged: charges[charges.length - 1] });
+    }
+
+    return created;
+  }
+
+  // Income methods
+  async getIncome() {
+    const income = await db.getAll('income');
+    return income.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  async getIncomeByPeriod(startDate, endDate) {
+    return await db.getIncomeByPeriod(startDate, endDate);
+  }
+
+  async saveIncome(entry) {
+    const record = this.stamp({ ...entry, currency: entry.currency || getDefaultCurrency() });
+    await db.update('income', record);
+    return record;
+  }
+
+  async deleteIncome(id) {
+    await db.deleteSynced('income', id);
+  }
+
+  async getCashFlowSummary(startDate, endDate, groupBy = 'day') {
+    return await db.getCashFlowSummary(startDate, endDate, groupBy);
+  }
+
+  // Exchange rates. The in-memory table used for conversions is refreshed
+  // after every change.
+  async getExchangeRates() {
+    const rates = await db.getAll('exchangeRates');
+    return rates.sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from));
+  }
+
+  async saveExchangeRate(rate) {
+    const record = normalizeRate(rate);
+    if (!record) {
+      throw new Error('Exchange rates need a date, two different currencies and a positive rate');
+    }
+
+    await db.update('exchangeRates', this.stamp(record));
+    await this.refreshExchangeRates();
+    return record;
+  }
+
+  async deleteExchangeRate(id) {
+    await db.deleteSynced('exchangeRates', id);
+    await this.refreshExchangeRates();
+  }
+
+  // Imports a JSON or CSV rates file; rows for the same date and pair are
+  // replaced. Returns the number of rates imported.
+  async importExchangeRates(text) {
+    const rates = parseRatesFile(text);
+    for (const rate of rates) {
+      await db.update('exchangeRates', this.stamp(rate));
+    }
+    await this.refreshExchangeRates();
+    return rates.length;
+  }
+
+  async refreshExchangeRates() {
+    return setExchangeRates(await db.getAll('exchangeRates'));
+  }
+
+  // Budget methods
+  async getBudgets() {
+    return await db.getAll('budgets');
+  }
+
+  async saveBudget(budget) {
+    const record = this.stamp(normalizeBudget(budget));
+    await db.update('budgets', record);
+    return record;
+  }
+
+  async deleteBudget(id) {
+    await db.deleteSynced('budgets', id);
+  }
+
+  // Budgets that crossed an alert threshold not yet announced this period.
+  // Each is recorded as announced, so repeated checks stay quiet until the
+  // next threshold or period. Returns [{ budget, status, threshold }] with
+  // the highest newly crossed threshold per budget.
+  async checkBudgetAlerts(date = getToday()) {
+    const [budgets, expenses] = await Promise.all([this.getBudgets(), db.getAll('expenses')]);
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const status = getBudgetStatus(budget, expenses, date);
+      const pending = getPendingAlerts(budget, status);
+      if (pending.length === 0) continue;
+
+      const saved = await this.saveBudget(withAlerts(budget, status, pending));
+      alerts.push({ budget: saved, status, threshold: pending[pending.length - 1] });
+    }
+
+    return alerts;
+  }
+
+  // Habit methods
+  // Stored streaks go stale as days pass without a completion, so they are
+  // recomputed on read
+  async getHabits() {
+    const habits = await db.getAll('habits');
+    return habits.map(habit => ({ ...habit, ...computeHabitStreaks(habit) }));
+  }
+
+  async getHabit(id) {
+    return await db.get('habits', id);
+  }
+
+  // Heatmap and completion rates for the last `days` (a year by default)
+  async getHabitAnalytics(habitId, days = 365) {
+    return await db.getHabitAnalytics(habitId, getToday(), days);
+  }
+
+  async saveHabit(habit) {
+    const record = this.stamp(this.prepareHabit(habit));
+    await db.update('habits', record);
+    return record;
+  }
+
+  // Stored shape of a habit: values, schedule and streaks
+  prepareHabit(habit) {
+    const { timesPerWeek, weekdays, everyDays, ...rest } = normalizeHabitValues(habit);
+    const record = { ...rest, ...normalizeHabitFrequency(habit) };
+    return { ...record, ...computeHabitStreaks(record) };
+  }
+
+  // Marks a habit done (or not) on a date; past dates backfill the history
+  async setHabitCompletion(habitId, date, completed = true) {
+    const habit = await this.getHabit(habitId);
+    if (!habit) return null;
+
+    return await this.saveHabit(withCompletion(habit, date || getToday(), completed));
+  }
+
+  // Skips or freezes a day ('skip' | 'freeze'), or clears it with null
+  async setHabitSkip(habitId, date, type) {
+    const habit = await this.getHabit(habitId);
+    if (!habit) return null;
+
+    return await this.saveHabit(withSkip(habit, date || getToday(), type));
+  }
+
+  // Logs the amount for a quantitative habit; 0 clears the day
+  async setHabitValue(habitId, date, value) {
+    const habit = await this.getHabit(habitId);
+    if (!habit) return null;
+
+    return await this.saveHabit(withValue(habit, date || getToday(), Math.max(0, value)));
+  }
+
+  // Water intake is a regular habit; it is recreated if it was deleted
+  async getWaterHabit() {
+    const habit = await this.getHabit(WATER_HABIT_ID);
+    return habit || await this.saveHabit(createWaterHabit());
+  }
+
+  async deleteHabit(id) {
+    await db.deleteSynced('habits', id);
+  }
+
+  // Journal methods
+  async getJournalEntries() {
+    const entries = await db.getAll('journal');
+    return entries.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  async getJournalEntriesByMonth(year, month) {
+    return await db.getJournalEntriesByMonth(year, month);
+  }
+
+  async saveJournalEntry(entry) {
+    const record = this.stamp(entry);
+    await db.update('journal', record);
+    return record;
+  }
+
+  async deleteJournalEntry(id) {
+    await db.deleteSynced('journal', id);
+    await db.deleteAttachments('journal', id);
+  }
+
+  // Attachment methods
+  async getAttachments(parentType, parentId) {
+    return await db.getAttachments(parentType, parentId);
+  }
+
+  async getAttachmentCounts() {
+    return await db.getAttachmentCounts();
+  }
+
+  // Stores a photo (File or Blob) with a generated thumbnail
+  async addAttachment(parentType, parentId, file) {
+    if (!ATTACHMENT_PARENTS.includes(parentType)) {
+      throw new Error(`Attachments are not supported for ${parentType}`);
+    }
+    if (!file.type.startsWith('image/')) {
+      throw new Error('Only images can be attached');
+    }
+
+    const record = this.stamp({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      parentType,
+      parentId,
+      name: file.name || 'photo',
+      type: file.type,
+      size: file.size,
+      blob: file,
+      thumbnail: await createThumbnail(file)
+    });
+    await db.add('attachments', record);
+    return record;
+  }
+
+  async deleteAttachment(id) {
+    await db.delete('attachments', id);
+  }
+
+  async getStorageUsage() {
+    return await getStorageEstimate();
+  }
+
+  async exportBackup() {
+    return await db.exportData();
+  }
+
+  // Replaces everything with the backup, then reapplies its settings
+  async importBackup(backup) {
+    await db.importData(backup);
+    await this.applyStoredState();
+  }
+
+  // Settings methods
+  async getSettings() {
+    const settings = await db.get('settings', 'general');
+    return settings ? { ...this.getDefaultSettings(), ...settings } : this.getDefaultSettings();
+  }
+
+  async saveSettings(settings) {
+    const record = { ...settings, id: 'general', updatedAt: new Date().toISOString(), synced: false };
+    record.currencySymbol = getCurrencySymbol(setDefaultCurrency(record.defaultCurrency));
+    record.syncEndpoint = setSyncConfig(record);
+    await db.update('settings', record);
+    setTimeZone(record.timeZone);
+    setVacations(record.vacations);
+    return record;
+  }
+
+  getDefaultSettings() {
+    return {
+      id: 'general',
+      dailyBudget: 50,
+      enableNotifications: true,
+      autoCompleteParent: true,
+      defaultCurrency: 'USD',
+      theme: 'auto',
+      timeZone: '', // empty = device timezone
+      vacations: [], // [{ start, end }] - habit streaks pause on these days
+      syncEndpoint: '', // sync server base URL, empty = sync off (see api.js)
+      syncToken: '',
+      dateFormat: 'YYYY-MM-DD',
+      currencySymbol: '$'
+    };
+  }
+
+  async getHabitLogs() {
+    const record = await db.get('settings', 'habitLogs');
+    return record?.logs || {};
+  }
+
+  async saveHabitLogs(logs) {
+    await db.update('settings', { id: 'habitLogs', logs });
+  }
+
+  // Sync conflicts (see merge.js)
+  async getConflicts() {
+    return await db.getConflicts();
+  }
+
+  // Saves the pick for each conflicting field as a local edit, which the
+  // next sync uploads. Returns the saved record, or null when it has been
+  // deleted since.
+  async resolveConflict(id, choices = {}) {
+    const conflict = await db.get('syncConflicts', id);
+    if (!conflict) return null;
+
+    const record = await db.get(conflict.storeName, conflict.recordId);
+    let saved = null;
+    if (record) {
+      saved = this.stamp(resolveConflictFields(record, conflict, choices));
+      await db.update(conflict.storeName, saved);
+    }
+    await db.delete('syncConflicts', id);
+    if (conflict.storeName === 'settings' || conflict.storeName === 'exchangeRates') {
+      await this.applyStoredState();
+    }
+    return saved;
+  }
+
+  // Activity log
+  async getActivityLog(limit = ACTIVITY_LIMIT) {
+    const activities = await db.getAll('activityLog', 'by-timestamp');
+    return activities.reverse().slice(0, limit);
+  }
+
+  async logActivity(action, details = '', type = 'info') {
+    const timestamp = new Date().toISOString();
+    const activity = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      action,
+      details,
+      type,
+      timestamp,
+      updatedAt: timestamp,
+      synced: false
+    };
+
+    await db.add('activityLog', activity);
+    await this.trimActivityLog();
+    return activity;
+  }
+
+  // Trimming is local: other devices keep their own last 100 entries
+  async trimActivityLog() {
+    const activities = await db.getAll('activityLog', 'by-timestamp');
+    const excess = activities.slice(0, Math.max(0, activities.length - ACTIVITY_LIMIT));
+
+    for (const activity of excess) {
+      await db.delete('activityLog', activity.id);
+    }
+  }
+
+  // Synced records leave tombstones, so the next sync clears them on the
+  // server and other devices too instead of pulling them back. Queued
+  // uploads go as well; they would bring the records back.
+  async clearAll() {
+    const deletedAt = new Date().toISOString();
+    for (const storeName of SYNCED_STORES) {
+      const records = await db.getAll(storeName);
+      for (const record of records) {
+        await db.addTombstone(storeName, record.id, deletedAt);
+      }
+    }
+
+    const stores = [...SYNCED_STORES, 'attachments', 'syncBase', 'syncConflicts', 'syncQueue'];
+    for (const store of stores) {
+      await db.clearStore(store);
+    }
+    await db.delete('settings', 'habitLogs');
+  }
+
+  // One-time migration of legacy localStorage data into IndexedDB
+  async migrateFromLocalStorage() {
+    const report = {
+      tasks: 0,
+      expenses: 0,
+      habits: 0,
+      journal: 0,
+      activityLog: 0,
+      habitLogs: 0,
+      accounts: 0,
+      settings: false,
+      waterIntake: false,
+      moved: 0,
+      duplicates: 0,
+      errors: []
+    };
+
+    // Legacy expenses were entered in the default currency, like stored
+    // ones before migration v7
+    const legacySettings = this.readLegacy(LEGACY_KEYS.settings);
+    const currency = (await db.get('settings', 'general'))?.defaultCurrency || legacySettings?.defaultCurrency || 'USD';
+
+    const stores = ['tasks', 'expenses', 'habits', 'journal', 'activityLog'];
+    for (const store of stores) {
+      const items = this.readLegacy(LEGACY_KEYS[store]);
+      if (!Array.isArray(items)) continue;
+
+      try {
+        const result = await this.mergeRecords(store, items.map(item => this.normalizeLegacy(store, item, currency)));
+        report[store] = result.moved;
+        report.duplicates += result.duplicates;
+      } catch (error) {
+        console.error(`Failed to migrate ${store}:`, error);
+        report.errors.push({ store, message: error.message });
+      }
+    }
+
+    try {
+      const expenses = this.readLegacy(LEGACY_KEYS.expenses);
+      report.accounts = await this.migrateLegacyAccounts(Array.isArray(expenses) ? expenses : [], currency);
+    } catch (error) {
+      console.error('Failed to migrate accounts:', error);
+      report.errors.push({ store: 'accounts', message: error.message });
+    }
+
+    try {
+      report.habitLogs = await this.migrateHabitLogs(this.readLegacy(LEGACY_KEYS.habitLogs));
+
+      if (legacySettings) {
+        const existing = await db.get('settings', 'general');
+        await this.saveSettings({ ...this.getDefaultSettings(), ...legacySettings, ...existing });
+        report.settings = true;
+      }
+
+      // The old water tracker becomes today's value on the water habit
+      const legacyWater = this.readLegacy(LEGACY_KEYS.waterIntake);
+      if (legacyWater) {
+        let water = await this.getWaterHabit();
+        water = { ...water, target: legacyWater.goal || legacySettings?.waterGoal || water.target };
+        if (legacyWater.date && legacyWater.glasses > (water.values?.[legacyWater.date] || 0)) {
+          water = withValue(water, legacyWater.date, legacyWater.glasses);
+        }
+        await this.saveHabit(water);
+        report.waterIntake = true;
+      }
+    } catch (error) {
+      console.error('Failed to migrate settings:', error);
+      report.errors.push({ store: 'settings', message: error.message });
+    }
+
+    // Only drop the legacy copy once everything landed in IndexedDB
+    if (report.errors.length === 0) {
+      Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+      localStorage.setItem(MIGRATION_FLAG, new Date().toISOString());
+    }
+
+    report.moved = stores.reduce((sum, store) => sum + report[store], 0);
+    if (report.moved > 0) {
+      await this.logActivity('Data migrated', `${report.moved} records moved to local database`, 'success');
+    }
+
+    return report;
+  }
+
+  async mergeRecords(storeName, items) {
+    const result = { moved: 0, duplicates: 0 };
+    const seen = new Map();
+
+    // De-duplicate within the legacy data first, keeping the newest copy
+    items.filter(item => item && item.id).forEach(item => {
+      const previous = seen.get(item.id);
+      if (previous) {
+        result.duplicates++;
+        if (!this.isNewer(item, previous)) return;
+      }
+      seen.set(item.id, item);
+    });
+
+    for (const item of seen.values()) {
+      const existing = await db.get(storeName, item.id);
+      if (existing) {
+        result.duplicates++;
+        if (!this.isNewer(item, existing)) continue;
+      }
+      // Stamped like any local change, so the records are uploaded
+      await db.update(storeName, this.stamp(item));
+      result.moved++;
+    }
+
+    return result;
+  }
+
+  async migrateHabitLogs(habitLogs) {
+    if (!habitLogs || typeof habitLogs !== 'object') return 0;
+
+    let merged = 0;
+    const unmatched = {};
+
+    for (const [habitId, dates] of Object.entries(habitLogs)) {
+      const habit = await db.get('habits', habitId);
+      if (habit && Array.isArray(dates)) {
+        const completionHistory = Array.from(
+          new Set([...(habit.completionHistory || []), ...dates])
+        ).sort();
+        await db.update('habits', this.stamp(this.prepareHabit({ ...habit, completionHistory })));
+        merged++;
+      } else {
+        unmatched[habitId] = dates;
+      }
+    }
+
+    if (Object.keys(unmatched).length > 0) {
+      await this.saveHabitLogs({ ...(await this.getHabitLogs()), ...unmatched });
+    }
+
+    return merged;
+  }
+
+  // Payment labels on legacy expenses become accounts, as in migration v13
+  async migrateLegacyAccounts(expenses, currency) {
+    const firstUse = new Map();
+    expenses.forEach(({ payment, date } = {}) => {
+      if (payment && (!firstUse.has(payment) || date < firstUse.get(payment))) {
+        firstUse.set(payment, date);
+      }
+    });
+
+    let created = 0;
+    for (const [payment, date] of firstUse) {
+      if (!(await db.get('accounts', payment))) {
+        await db.update('accounts', this.stamp(createLegacyAccount(payment, currency, date)));
+        created++;
+      }
+    }
+    return created;
+  }
+
+  // Brings a legacy record to the shape the schema migrations give stored
+  // ones
+  normalizeLegacy(storeName, item, currency) {
+    if (!item || typeof item !== 'object') return item;
+
+    let record = { ...item, id: item.id != null ? String(item.id) : item.id };
+
+    // Legacy tasks kept their description in `notes`
+    if (storeName === 'tasks' && record.notes !== undefined && record.description === undefined) {
+      record.description = record.notes;
+      delete record.notes;
+    }
+    if (storeName === 'expenses' && !record.currency) {
+      record.currency = currency;
+    }
+    if (storeName === 'habits') {
+      record = this.prepareHabit(record);
+    }
+
+    return record;
+  }
+
+  readLegacy(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      console.warn(`Ignoring unreadable localStorage key ${key}:`, error);
+      return null;
+    }
+  }
+
+  isNewer(candidate, current) {
+    const candidateTime = new Date(candidate.updatedAt || candidate.timestamp || candidate.createdAt || 0);
+    const currentTime = new Date(current.updatedAt || current.timestamp || current.createdAt || 0);
+    return candidateTime > currentTime;
+  }
+
+  // Every local change is new to the sync server (see sync.js)
+  stamp(record) {
+    const now = new Date().toISOString();
+    return {
+      ...record,
+      createdAt: record.createdAt || now,
+      updatedAt: now,
+      synced: false
+    };
+  }
+}
+
+// Export singleton instance
+export const repository = new DataRepository();
@@ -0,0 +1,393 @@
+// Reference sync server for DailyTrack
+//
+// Implements the API in API.md with nothing but Node built-ins. Records and
+// settings live in DATA_DIR/db.json; each backup is its own file under
+// DATA_DIR/backups. Writes go to a temporary file that is then renamed, so
+// a crash never leaves half a database behind.
+//
+//   DAILYTRACK_TOKEN=secret PORT=8787 node server/server.mjs
+import { createServer } from 'node:http';
+import { mkdir, readFile, readdir, rename, stat, writeFile } from 'node:fs/promises';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.DATA_DIR || join(dirname(fileURLToPath(import.meta.url)), 'data');
+const TOKEN = process.env.DAILYTRACK_TOKEN || '';
+const MAX_BODY_BYTES = (Number(process.env.MAX_BODY_MB) || 25) * 1024 * 1024;
+
+// Devices that have not synced for this long no longer hold back the
+// purging of tombstones; if they return, they get a full resync
+const DEVICE_TTL_MS = (Number(process.env.DEVICE_TTL_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+const DB_FILE = join(DATA_DIR, 'db.json');
+const BACKUP_DIR = join(DATA_DIR, 'backups');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const requireAmountAndDate = (record) => {
+  if (!Number.isFinite(record.amount)) return 'amount must be a number';
+  return DATE_PATTERN.test(record.date) ? null : 'date must be YYYY-MM-DD';
+};
+const anyRecord = () => null;
+
+// Required fields per collection, beyond id and updatedAt. Each check
+// returns an error message, or null for a valid record.
+const COLLECTIONS = {
+  tasks: (record) => isText(record.title) ? null : 'title is required',
+  expenses: requireAmountAndDate,
+  income: requireAmountAndDate,
+  budgets: anyRecord,
+  recurringExpenses: anyRecord,
+  accounts: anyRecord,
+  transfers: requireAmountAndDate,
+  settlements: anyRecord,
+  exchangeRates: anyRecord,
+  categoryRules: anyRecord,
+  habits: (record) => isText(record.name) ? null : 'name is required',
+  journal: (record) => DATE_PATTERN.test(record.date) ? null : 'date must be YYYY-MM-DD',
+  activityLog: anyRecord
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// db.json holds
+//   { collections: { tasks: { [id]: { record, receivedAt } } },
+//     tombstones: { tasks: { [id]: { id, deletedAt, receivedAt } } },
+//     settings: { value, receivedAt },
+//     devices: { [deviceId]: { since, seenAt } },
+//     purgedThrough }
+// `receivedAt` is the server clock and drives GET /api/sync?since=.
+// `purgedThrough` is the newest `receivedAt` of a purged tombstone.
+let state = null;
+let lastTime = 0;
+let writing = Promise.resolve();
+
+// Maps keyed by ids the clients choose have no prototype, so an id like
+// "__proto__" is an ordinary key
+const createMap = (entries = {}) => Object.assign(Object.create(null), entries);
+
+async function loadState() {
+  try {
+    state = JSON.parse(await readFile(DB_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    state = { collections: {}, settings: null };
+  }
+  state.tombstones = state.tombstones || {};
+  state.devices = createMap(state.devices);
+  state.purgedThrough = state.purgedThrough || 0;
+  Object.keys(COLLECTIONS).forEach(name => {
+    state.collections[name] = createMap(state.collections[name]);
+    state.tombstones[name] = createMap(state.tombstones[name]);
+  });
+}
+
+async function writeAtomic(file, contents) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await writeFile(temp, contents);
+  await rename(temp, file);
+}
+
+// Saves are chained so two requests never write the file at once
+function saveState() {
+  writing = writing.then(() => writeAtomic(DB_FILE, JSON.stringify(state)));
+  return writing;
+}
+
+// Strictly increasing, so two changes in the same millisecond still sort
+function now() {
+  lastTime = Math.max(Date.now(), lastTime + 1);
+  return lastTime;
+}
+
+function isNewer(candidate, current) {
+  return new Date(candidate.updatedAt || 0) > new Date(current.updatedAt || 0);
+}
+
+const isDate = (value) => isText(value) && !Number.isNaN(new Date(value).getTime());
+
+function validateId(id) {
+  if (!isText(id)) {
+    throw new HttpError(400, 'id must be a non-empty string');
+  }
+}
+
+function validateRecord(name, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new HttpError(400, 'Body must be a JSON object');
+  }
+  validateId(record.id);
+  if (!isDate(record.updatedAt)) {
+    throw new HttpError(400, 'updatedAt must be an ISO date');
+  }
+
+  const problem = COLLECTIONS[name](record);
+  if (problem) {
+    throw new HttpError(400, problem);
+  }
+}
+
+async function upsertRecord(name, body) {
+  validateRecord(name, body);
+  const { synced, ...record } = body;
+  const collection = state.collections[name];
+  const existing = collection[record.id];
+  const tombstone = state.tombstones[name][record.id];
+
+  // Only an edit made after the deletion brings a record back
+  if (tombstone && new Date(record.updatedAt) <= new Date(tombstone.deletedAt)) {
+    return { record: null, deletedAt: tombstone.deletedAt };
+  }
+  if (existing && !isNewer(record, existing.record)) {
+    return { record: existing.record };
+  }
+
+  delete state.tombstones[name][record.id];
+  collection[record.id] = { record, receivedAt: now() };
+  await saveState();
+  return { record };
+}
+
+async function deleteRecord(name, body) {
+  validateId(body?.id);
+  const deletedAt = isDate(body.deletedAt) ? body.deletedAt : new Date().toISOString();
+  const existing = state.collections[name][body.id];
+
+  // An edit made after the deletion wins
+  if (existing && new Date(existing.record.updatedAt) > new Date(deletedAt)) {
+    return { deleted: false, record: existing.record };
+  }
+
+  const previous = state.tombstones[name][body.id];
+  if (!existing && previous && new Date(previous.deletedAt) >= new Date(deletedAt)) {
+    return { deleted: true };
+  }
+
+  delete state.collections[name][body.id];
+  state.tombstones[name][body.id] = { id: body.id, deletedAt, receivedAt: now() };
+  await saveState();
+  return { deleted: true };
+}
+
+// A device asking for changes since T has applied everything received up
+// to T, including deletions. Tombstones every active device has seen are
+// dropped.
+function acknowledge(device, since) {
+  const time = Date.now();
+  state.devices[device] = { since, seenAt: time };
+
+  Object.entries(state.devices).forEach(([id, entry]) => {
+    if (time - entry.seenAt > DEVICE_TTL_MS) delete state.devices[id];
+  });
+  const seen = Math.min(...Object.values(state.devices).map(entry => entry.since));
+
+  Object.values(state.tombstones).forEach(tombstones => {
+    Object.values(tombstones).forEach(tombstone => {
+      if (tombstone.receivedAt <= seen) {
+        delete tombstones[tombstone.id];
+        state.purgedThrough = Math.max(state.purgedThrough, tombstone.receivedAt);
+      }
+    });
+  });
+}
+
+// Tombstones this device needs may be purged already: it then gets every
+// record with `full: true` and drops the synced ones missing from it
+function getChanges(since) {
+  const full = since > 0 && since < state.purgedThrough;
+  const from = full ? 0 : since;
+  const changes = { serverTime: now(), full, deleted: {} };
+
+  Object.entries(state.collections).forEach(([name, collection]) => {
+    changes[name] = Object.values(collection)
+      .filter(entry => entry.receivedAt > from)
+      .map(entry => entry.record);
+    changes.deleted[name] = full ? [] : Object.values(state.tombstones[name])
+      .filter(tombstone => tombstone.receivedAt > from)
+      .map(({ id, deletedAt }) => ({ id, deletedAt }));
+  });
+  changes.settings = state.settings && state.settings.receivedAt > from ? state.settings.value : null;
+  return changes;
+}
+
+async function saveBackup(backup) {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    throw new HttpError(400, 'Body must be a JSON object');
+  }
+
+  const createdAt = new Date();
+  const id = `${createdAt.getTime()}-${randomBytes(3).toString('hex')}`;
+  const contents = JSON.stringify(backup);
+  await mkdir(BACKUP_DIR, { recursive: true });
+  await writeAtomic(join(BACKUP_DIR, `${id}.json`), contents);
+  return { id, createdAt: createdAt.toISOString(), size: Buffer.byteLength(contents) };
+}
+
+// Newest first; ids start with the creation time
+async function listBackups() {
+  let files;
+  try {
+    files = await readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const ids = files
+    .filter(file => /^\d+-[0-9a-f]+\.json$/.test(file))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+
+  return await Promise.all(ids.map(async id => ({
+    id,
+    createdAt: new Date(parseInt(id, 10)).toISOString(),
+    size: (await stat(join(BACKUP_DIR, `${id}.json`))).size
+  })));
+}
+
+function isAuthorized(request) {
+  if (!TOKEN) return true;
+
+  const header = request.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// An oversized body is still read to the end (and dropped) so the error
+// response reaches the client
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  }
+  if (size > MAX_BODY_BYTES) {
+    throw new HttpError(413, 'Request body too large');
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed JSON');
+  }
+}
+
+// Resolves a request to its response body; throws HttpError
+async function route(request, url) {
+  const { pathname } = url;
+  const method = request.method;
+
+  if (method === 'GET' && pathname === '/api/health') {
+    return { name: 'DailyTrack reference server', version: 1 };
+  }
+
+  if (method === 'GET' && pathname === '/api/sync') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const changes = getChanges(since);
+    const device = url.searchParams.get('device');
+    if (device) {
+      acknowledge(device, since);
+      await saveState();
+    }
+    return changes;
+  }
+
+  const collection = pathname.match(/^\/api\/(\w+)$/)?.[1];
+  if (Object.hasOwn(COLLECTIONS, collection ?? '')) {
+    if (method === 'POST') return await upsertRecord(collection, await readBody(request));
+    if (method === 'DELETE') return await deleteRecord(collection, await readBody(request));
+  }
+
+  if (pathname === '/api/settings') {
+    if (method === 'GET') {
+      return { settings: state.settings?.value || null };
+    }
+    if (method === 'PUT') {
+      const settings = await readBody(request);
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new HttpError(400, 'Body must be a JSON object');
+      }
+      // Like records, older settings leave newer ones in place
+      if (state.settings && !isNewer(settings, state.settings.value)) {
+        return { settings: state.settings.value };
+      }
+      const { synced, ...value } = settings;
+      state.settings = { value, receivedAt: now() };
+      await saveState();
+      return { settings: value };
+    }
+  }
+
+  if (pathname === '/api/backup') {
+    if (method === 'POST') return await saveBackup(await readBody(request));
+    if (method === 'GET') return { backups: await listBackups() };
+  }
+
+  if (method === 'GET' && pathname === '/api/backup/latest') {
+    const [latest] = await listBackups();
+    if (!latest) throw new HttpError(404, 'No backups yet');
+    // Sent as stored, without parsing it again
+    return { raw: await readFile(join(BACKUP_DIR, `${latest.id}.json`), 'utf8') };
+  }
+
+  // Push delivery is out of scope for the reference server
+  if (method === 'POST' && (pathname === '/push/subscribe' || pathname === '/push/unsubscribe')) {
+    await readBody(request);
+    return { ok: true };
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+function send(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(body?.raw ?? JSON.stringify(body));
+}
+
+const server = createServer(async (request, response) => {
+  // The app runs on another origin, so every response allows CORS
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  try {
+    if (!isAuthorized(request)) {
+      throw new HttpError(401, 'Invalid or missing access token');
+    }
+    const url = new URL(request.url, 'http://localhost');
+    send(response, 200, await route(request, url));
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error(`${request.method} ${request.url} failed:`, error);
+    }
+    send(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+  }
+});
+
+await mkdir(DATA_DIR, { recursive: true });
+await loadState();
+server.listen(PORT, () => {
+  console.log(`DailyTrack sync server listening on http://localhost:${PORT}`);
+  console.log(`Data directory: ${DATA_DIR}`);
+  if (!TOKEN) {
+    console.warn('DAILYTRACK_TOKEN is not set - anyone who can reach this port can read and change the data');
+  }
+});
@@ -0,0 +1,195 @@
+// Split and shared expenses for DailyTrack
+//
+// An expense can be split across categories; the parts add up to its amount
+// and `category` holds the largest part, so code that only knows a single
+// category keeps working:
+//
+//   { amount: 120, category: 'food',
+//     splits: [{ category: 'food', amount: 90 }, { category: 'shopping', amount: 30 }] }
+//
+// It can also be shared between people. `paidBy` and `person` are names,
+// with ME standing for the user; `value` is a percentage or an exact amount
+// depending on `method` and unused for equal shares:
+//
+//   shared: { paidBy: 'me', method: 'equal', shares: [{ person: 'me' }, { person: 'Alex' }] }
+//
+// Settle-up entries record money changing hands outside of expenses:
+//
+//   { id, from: 'Alex', to: 'me', amount: 60, currency: 'USD', date }
+//
+// Balances are in the default currency.
+import { convertAmount, getDefaultCurrency, getExpenseAmount } from './currency.js';
+
+export const ME = 'me';
+
+export const SHARE_METHODS = ['equal', 'percent', 'exact'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Category splits
+// [{ category, amount }] in the expense's own currency; a single part when
+// the expense is not split
+export function getCategoryParts(expense) {
+  return expense.splits?.length
+    ? expense.splits
+    : [{ category: expense.category, amount: Number(expense.amount) || 0 }];
+}
+
+// The same parts in the default currency, or null when no rate is known
+export function getConvertedParts(expense) {
+  const total = getExpenseAmount(expense);
+  if (total === null) return null;
+
+  const amount = Number(expense.amount) || 0;
+  return getCategoryParts(expense).map(part => ({
+    category: part.category,
+    amount: amount ? total * (part.amount / amount) : 0
+  }));
+}
+
+// Merges parts of the same category and drops empty ones; throws when the
+// parts do not add up to the expense amount
+export function normalizeSplits(splits, amount) {
+  const byCategory = new Map();
+  (splits || []).forEach(part => {
+    const value = Number(part.amount) || 0;
+    if (!part.category || value <= 0) return;
+    byCategory.set(part.category, round((byCategory.get(part.category) || 0) + value));
+  });
+
+  const parts = Array.from(byCategory, ([category, value]) => ({ category, amount: value }));
+  if (parts.length < 2) return null;
+
+  const total = parts.reduce((sum, part) => sum + part.amount, 0);
+  if (Math.abs(total - amount) >= 0.01) {
+    throw new Error(`Category splits add up to ${round(total)}, not ${amount}`);
+  }
+
+  return parts.sort((a, b) => b.amount - a.amount);
+}
+
+// Sharing between people
+// [{ person, amount }] owed by each participant, in the expense currency.
+// Equal shares hand out leftover cents to the first people.
+export function computeShares(amount, shared) {
+  const shares = shared?.shares || [];
+  if (shares.length === 0) return [];
+
+  switch (shared.method) {
+    case 'percent':
+      return shares.map(share => ({ person: share.person, amount: round(amount * (Number(share.value) || 0) / 100) }));
+
+    case 'exact':
+      return shares.map(share => ({ person: share.person, amount: round(Number(share.value) || 0) }));
+
+    default: {
+      const cents = Math.round(amount * 100);
+      const base = Math.floor(cents / shares.length);
+      return shares.map((share, index) => ({
+        person: share.person,
+        amount: (base + (index < cents - base * shares.length ? 1 : 0)) / 100
+      }));
+    }
+  }
+}
+
+// Cleans up a sharing setup; throws when percentages or exact amounts do
+// not add up. Returns null when nobody else is involved.
+export function normalizeSharing(shared, amount) {
+  if (!shared) return null;
+
+  const shares = [];
+  (shared.shares || []).forEach(share => {
+    const person = String(share.person || '').trim();
+    if (person && !shares.some(s => s.person === person)) {
+      shares.push({ ...share, person });
+    }
+  });
+  const paidBy = String(shared.paidBy || ME).trim() || ME;
+
+  if (!shares.some(share => share.person !== paidBy)) return null;
+
+  const method = SHARE_METHODS.includes(shared.method) ? shared.method : 'equal';
+  const normalized = { paidBy, method, shares };
+
+  if (method !== 'equal') {
+    const total = shares.reduce((sum, share) => sum + (Number(share.value) || 0), 0);
+    const expected = method === 'percent' ? 100 : amount;
+    if (Math.abs(total - expected) >= 0.01) {
+      throw new Error(method === 'percent'
+        ? `Shares add up to ${round(total)}%, not 100%`
+        : `Shares add up to ${round(total)}, not ${amount}`);
+    }
+  }
+
+  return normalized;
+}
+
+// Balances
+// Net position per person: positive means they are owed money
+export function getNetBalances(expenses, settlements = []) {
+  const net = new Map();
+  const add = (person, amount) => net.set(person, (net.get(person) || 0) + amount);
+
+  expenses.filter(expense => expense.shared).forEach(expense => {
+    const total = getExpenseAmount(expense);
+    if (total === null) return;
+
+    const rate = expense.amount ? total / expense.amount : 0;
+    add(expense.shared.paidBy, total);
+    computeShares(expense.amount, expense.shared).forEach(share => add(share.person, -share.amount * rate));
+  });
+
+  settlements.forEach(settlement => {
+    const amount = convertAmount(settlement.amount, settlement.currency, getDefaultCurrency(), settlement.date);
+    if (amount === null) return;
+
+    add(settlement.from, amount);
+    add(settlement.to, -amount);
+  });
+
+  return net;
+}
+
+// Who owes whom, as few transfers as the greedy match allows:
+//   [{ from, to, amount }], largest first
+export function getDebts(expenses, settlements = []) {
+  const balances = Array.from(getNetBalances(expenses, settlements))
+    .map(([person, amount]) => ({ person, amount: round(amount) }))
+    .filter(balance => Math.abs(balance.amount) >= 0.01);
+  const creditors = balances.filter(b => b.amount > 0).sort((a, b) => b.amount - a.amount);
+  const debtors = balances.filter(b => b.amount < 0).sort((a, b) => a.amount - b.amount);
+  const debts = [];
+
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const amount = round(Math.min(creditors[c].amount, -debtors[d].amount));
+    if (amount >= 0.01) {
+      debts.push({ from: debtors[d].person, to: creditors[c].person, amount });
+    }
+
+    creditors[c].amount = round(creditors[c].amount - amount);
+    debtors[d].amount = round(debtors[d].amount + amount);
+    if (creditors[c].amount < 0.01) c++;
+    if (debtors[d].amount > -0.01) d++;
+  }
+
+  return debts.sort((a, b) => b.amount - a.amount);
+}
+
+// Names used in shared expenses and settlements, for pickers
+export function getPeople(expenses, settlements = []) {
+  const people = new Set();
+  expenses.forEach(expense => {
+    if (!expense.shared) return;
+    people.add(expense.shared.paidBy);
+    expense.shared.shares.forEach(share => people.add(share.person));
+  });
+  settlements.forEach(settlement => {
+    people.add(settlement.from);
+    people.add(settlement.to);
+  });
+  people.delete(ME);
+  return Array.from(people).sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,321 @@
+// Bank statement import for DailyTrack
+//
+// CSV and OFX/QFX exports are parsed into transactions:
+//
+//   { date: '2026-10-03', amount: -12.5, description: 'COFFEE HOUSE 123', importId: 'FITID' }
+//
+// Negative amounts are money going out and become expenses; credits are
+// reported but not imported. CSV files need a column mapping, which
+// guessCsvMapping() fills in from the header row:
+//
+//   { date: 0, description: 1, amount: 2, debit: null, credit: null,
+//     dateFormat: 'mdy', hasHeader: true, negateAmounts: false }
+//
+// Categories come from learned rules keyed by merchant, e.g.
+//   { id: 'coffee house', pattern: 'coffee house', category: 'food', hits: 3 }
+// falling back to a few built-in keywords.
+export const DATE_FORMATS = ['ymd', 'mdy', 'dmy'];
+
+const COLUMN_PATTERNS = {
+  date: /date|posted|booked/i,
+  description: /desc|payee|merchant|name|memo|details|narrative/i,
+  debit: /debit|withdrawal|paid out|money out/i,
+  credit: /credit|deposit|paid in|money in/i,
+  amount: /amount|sum|value|total/i
+};
+
+// Matched as whole words, so "parent" is not rent and "Vegas" is not gas
+const KEYWORD_CATEGORIES = [
+  [/\b(restaurants?|cafe|coffee|pizza|burgers?|grocer(y|ies)?|(super)?markets?|bakery|doordash|ubereats|deliveroo)\b/, 'food'],
+  [/\b(uber|lyft|taxi|fuel|petrol|shell|parking|transit|metro|railways?|airlines?)\b/, 'transportation'],
+  [/\b(amazon|ebay|stores?|shop(ping)?|mall|ikea)\b/, 'shopping'],
+  [/\b(netflix|spotify|cinema|theatre|steam|playstation|xbox|hulu|disney)\b/, 'entertainment'],
+  [/\b(electric(ity)?|water|gas|internet|phone|mobile|insurance|rent|utilit(y|ies))\b/, 'bills'],
+  [/\b(pharmacy|doctor|dental|clinic|hospital)\b/, 'health'],
+  [/\b(school|courses?|udemy|tuition|books?)\b/, 'education']
+];
+
+// CSV
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, line.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Rows of cells; quoted cells may contain delimiters, "" and newlines
+export function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/)[0] || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+// '2026-10-03', '20261003', '10/03/2026' (mdy) or '03.10.2026' (dmy)
+export function parseStatementDate(value, format = 'mdy') {
+  const text = String(value || '').trim();
+  let year, month, day;
+
+  if (/^\d{8}/.test(text)) {
+    [year, month, day] = [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)];
+  } else {
+    const parts = text.split(/[^\d]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    if (parts[0].length === 4 || format === 'ymd') {
+      [year, month, day] = parts;
+    } else if (format === 'dmy') {
+      [day, month, year] = parts;
+    } else {
+      [month, day, year] = parts;
+    }
+  }
+
+  if (String(year).length === 2) year = `20${year}`;
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(date) ? date : null;
+}
+
+// Day-first vs month-first can only be told apart by values above 12
+export function guessDateFormat(values) {
+  const parts = values.map(value => String(value || '').split(/[^\d]+/).filter(Boolean));
+  if (parts.some(p => p[0]?.length === 4)) return 'ymd';
+  if (parts.some(p => Number(p[0]) > 12)) return 'dmy';
+  return 'mdy';
+}
+
+// '-1,234.56', '(12.00)', '12,50', '€ 7.99' -> number, null if unreadable
+export function parseAmount(value) {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const negative = /^-|^\(.*\)$|-$/.test(text.replace(/[^\d().,-]/g, ''));
+  text = text.replace(/[^\d.,]/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot && text.length - lastComma <= 3) {
+    // Decimal comma: "1.234,56" or "12,50"
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (Number.isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+export function guessCsvMapping(rows) {
+  const header = rows[0] || [];
+  const hasHeader = header.some(cell => Object.values(COLUMN_PATTERNS).some(pattern => pattern.test(cell)))
+    && !header.some(cell => parseStatementDate(cell));
+  const find = (key, exclude = []) => {
+    if (!hasHeader) return null;
+    const index = header.findIndex((cell, i) => !exclude.includes(i) && COLUMN_PATTERNS[key].test(cell));
+    return index === -1 ? null : index;
+  };
+
+  const mapping = {
+    date: find('date') ?? 0,
+    description: null,
+    amount: null,
+    debit: find('debit'),
+    credit: find('credit'),
+    hasHeader,
+    negateAmounts: false
+  };
+  mapping.description = find('description', [mapping.date]) ?? 1;
+  mapping.amount = find('amount', [mapping.date, mapping.description, mapping.debit, mapping.credit]);
+  if (mapping.amount === null && mapping.debit === null) {
+    mapping.amount = 2;
+  }
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  mapping.dateFormat = guessDateFormat(dataRows.map(cells => cells[mapping.date]));
+  return mapping;
+}
+
+// Transactions from CSV rows and a mapping. With separate debit and credit
+// columns both hold positive numbers; `negateAmounts` is for exports that
+// list charges as positive amounts.
+export function parseCsvStatement(rows, mapping) {
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map(cells => {
+    let amount;
+    if (mapping.debit !== null && mapping.debit !== undefined) {
+      const debit = parseAmount(cells[mapping.debit]);
+      const credit = mapping.credit === null ? null : parseAmount(cells[mapping.credit]);
+      amount = debit ? -Math.abs(debit) : credit;
+    } else {
+      amount = parseAmount(cells[mapping.amount]);
+      if (amount !== null && mapping.negateAmounts) amount = -amount;
+    }
+
+    return {
+      date: parseStatementDate(cells[mapping.date], mapping.dateFormat),
+      amount,
+      description: (cells[mapping.description] || '').replace(/\s+/g, ' ').trim()
+    };
+  });
+}
+
+// OFX/QFX
+function ofxField(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Works for both SGML (unclosed tags) and XML flavours of OFX
+export function parseOfx(text) {
+  const content = String(text || '');
+  const currency = ofxField(content, 'CURDEF').toUpperCase() || null;
+  const blocks = content.split(/<STMTTRN>/i).slice(1);
+
+  const transactions = blocks.map(block => {
+    const name = decodeEntities(ofxField(block, 'NAME'));
+    const memo = decodeEntities(ofxField(block, 'MEMO'));
+
+    return {
+      date: parseStatementDate(ofxField(block, 'DTPOSTED'), 'ymd'),
+      amount: parseAmount(ofxField(block, 'TRNAMT')),
+      description: (name || memo).replace(/\s+/g, ' ').trim(),
+      importId: ofxField(block, 'FITID') || null
+    };
+  });
+
+  return { currency, transactions };
+}
+
+export function isOfx(text) {
+  return /OFXHEADER|<OFX>/i.test(String(text || '').slice(0, 1000));
+}
+
+// Duplicate detection
+function duplicateKey(record) {
+  return `${record.date}|${Math.abs(Number(record.amount)).toFixed(2)}|${(record.description || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+// Marks transactions already present among `existing` expenses, by bank id
+// when both have one, otherwise by date, amount and description. Each
+// existing expense can only match one transaction, so repeated identical
+// charges in a statement are kept apart.
+export function findDuplicates(transactions, existing) {
+  const importIds = new Set(existing.map(expense => expense.importId).filter(Boolean));
+  const counts = new Map();
+  existing.forEach(expense => {
+    const key = duplicateKey(expense);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return transactions.map(transaction => {
+    if (transaction.importId && importIds.has(transaction.importId)) return true;
+
+    const key = duplicateKey(transaction);
+    const count = counts.get(key) || 0;
+    if (count === 0) return false;
+
+    counts.set(key, count - 1);
+    return true;
+  });
+}
+
+// Category rules
+// 'AMAZON MKTP US*2K4 #1234' -> 'amazon mktp us'
+export function getMerchantKey(description) {
+  return String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1)
+    .slice(0, 3)
+    .join(' ');
+}
+
+// Learned rule for the merchant, else the longest learned pattern found in
+// the description, else a built-in keyword. Returns { category, rule }.
+export function suggestCategory(description, rules, fallback = 'other') {
+  const key = getMerchantKey(description);
+  const text = ` ${key} `;
+
+  const rule = rules.find(r => r.pattern === key) ||
+    rules
+      .filter(r => r.pattern && text.includes(` ${r.pattern} `))
+      .sort((a, b) => b.pattern.length - a.pattern.length)[0];
+  if (rule) return { category: rule.category, rule };
+
+  const lower = String(description || '').toLowerCase();
+  const keyword = KEYWORD_CATEGORIES.find(([pattern]) => pattern.test(lower));
+  return { category: keyword ? keyword[1] : fallback, rule: null };
+}
+
+// The rule after the user filed `description` under `category`
+export function learnRule(rules, description, category) {
+  const pattern = getMerchantKey(description);
+  if (!pattern) return null;
+
+  const previous = rules.find(rule => rule.id === pattern);
+  return {
+    ...previous,
+    id: pattern,
+    pattern,
+    category,
+    hits: previous?.category === category ? previous.hits + 1 : 1
+  };
+}
+
+// The expense record for an imported debit
+export function toExpense(transaction, category, currency, id) {
+  return {
+    id,
+    amount: Math.abs(transaction.amount),
+    currency,
+    description: transaction.description,
+    category,
+    date: transaction.date,
+    imported: true,
+    importId: transaction.importId || null
+  };
+}
@@ -0,0 +1,110 @@
+// Recurring expenses and subscriptions for DailyTrack
+//
+// A recurring expense is a template that turns into real expense records as
+// its charges come due:
+//
+//   { id, description: 'Netflix', amount: 15.49, currency: 'USD',
+//     category: 'entertainment', recurrence: { freq: 'monthly', interval: 1 },
+//     startDate: '2026-01-05', lastCharged: '2026-10-05', reminderDays: 2,
+//     active: true }
+//
+// `recurrence` uses the same rules as recurring tasks (see recurrence.js),
+// anchored at `startDate`. `lastCharged` is the latest charge already
+// written as an expense, so charges missed while the app was closed are
+// caught up on the next run. Generated expenses get a deterministic id and
+// point back at their template through `recurringId`.
+import { convertAmount, getDefaultCurrency } from './currency.js';
+import { addDays, getToday, normalizeDate } from './dates.js';
+import { nextOccurrence, normalizeRecurrence, occurrencesBetween } from './recurrence.js';
+
+export const DEFAULT_REMINDER_DAYS = 2;
+
+// Average number of charges per month for each frequency
+const CHARGES_PER_MONTH = { daily: 365 / 12, weekly: 52 / 12, monthly: 1, yearly: 1 / 12 };
+
+export function normalizeRecurringExpense(template) {
+  const startDate = normalizeDate(template.startDate) || getToday();
+  const reminderDays = parseInt(template.reminderDays, 10);
+
+  return {
+    ...template,
+    amount: Math.max(0, Number(template.amount) || 0),
+    currency: template.currency || getDefaultCurrency(),
+    recurrence: normalizeRecurrence(template.recurrence) || { freq: 'monthly', interval: 1 },
+    startDate,
+    lastCharged: normalizeDate(template.lastCharged) || null,
+    reminderDays: reminderDays >= 0 ? reminderDays : DEFAULT_REMINDER_DAYS,
+    active: template.active !== false
+  };
+}
+
+// Charge dates up to and including `date` that have no expense yet
+export function getDueCharges(template, date = getToday()) {
+  if (template.active === false) return [];
+
+  const from = template.lastCharged ? addDays(template.lastCharged, 1) : template.startDate;
+  return occurrencesBetween(template.recurrence, template.startDate, from, date);
+}
+
+// Charge dates after `date` up to and including `end` that have no expense
+// yet, e.g. the rest of this month's charges
+export function getScheduledCharges(template, date, end) {
+  if (template.active === false) return [];
+
+  const from = addDays(template.lastCharged > date ? template.lastCharged : date, 1);
+  return occurrencesBetween(template.recurrence, template.startDate, from, end);
+}
+
+// First charge after `date`, or null once the series has ended
+export function getNextCharge(template, date = getToday()) {
+  if (template.active === false) return null;
+  return nextOccurrence(template.recurrence, template.startDate, date);
+}
+
+// The expense record for one charge. The id is derived from the template
+// and date, so writing the same charge twice never duplicates it.
+export function createChargeExpense(template, date) {
+  return {
+    id: `${template.id}:${date}`,
+    amount: template.amount,
+    currency: template.currency,
+    description: template.description,
+    category: template.category,
+    date,
+    recurringId: template.id
+  };
+}
+
+// Average monthly cost in the template's own currency
+export function getMonthlyCost(template) {
+  const { freq, interval = 1, byWeekday } = template.recurrence || {};
+  const perPeriod = freq === 'weekly' && byWeekday ? byWeekday.length : 1;
+  return template.amount * perPeriod * (CHARGES_PER_MONTH[freq] || 0) / interval;
+}
+
+// Totals and upcoming charges for active templates, in the default currency:
+//   { monthly, annual, unconverted, upcoming: [{ template, date, amount }] }
+// `upcoming` holds the next charge of each template within `days`, soonest
+// first.
+export function getSubscriptionSummary(templates, date = getToday(), days = 30) {
+  const summary = { monthly: 0, annual: 0, unconverted: 0, upcoming: [] };
+  const horizon = addDays(date, days);
+
+  templates.filter(template => template.active !== false).forEach(template => {
+    const monthly = convertAmount(getMonthlyCost(template), template.currency, getDefaultCurrency(), date);
+    if (monthly === null) {
+      summary.unconverted++;
+    } else {
+      summary.monthly += monthly;
+      summary.annual += monthly * 12;
+    }
+
+    const next = getNextCharge(template, date);
+    if (next && next <= horizon) {
+      summary.upcoming.push({ template, date: next, amount: template.amount });
+    }
+  });
+
+  summary.upcoming.sort((a, b) => a.date.localeCompare(b.date));
+  return summary;
+}
@@ -1,5 +1,5 @@
 // Service Worker for DailyTrack PWA
-const CACHE_NAME = 'DailyTrack-v2.0.0';
+const CACHE_NAME = 'DailyTrack-v3.0.0';
 const OFFLINE_URL = 'offline.html';
 const API_CACHE_NAME = 'DailyTrack-api-v1';
 
@@ -11,6 +11,25 @@ const PRECACHE_ASSETS = [
   '/app.js',
   '/db.js',
   '/sync.js',
+  '/push.js',
+  '/repository.js',
+  '/migrations.js',
+  '/recurrence.js',
+  '/tasks.js',
+  '/dates.js',
+  '/habits.js',
+  '/budgets.js',
+  '/currency.js',
+  '/cashflow.js',
+  '/subscriptions.js',
+  '/statements.js',
+  '/splits.js',
+  '/attachments.js',
+  '/insights.js',
+  '/accounts.js',
+  '/markdown.js',
+  '/api.js',
+  '/merge.js',
   '/styles/components.css',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
@@ -169,16 +188,15 @@ self.addEventListener('fetch', (event) => {
   event.respondWith(networkFirstWithTimeout(event.request));
 });
 
-// Background sync for offline actions
+// Background sync for offline actions; the per-store tags were
+// registered by earlier versions
+const SYNC_TAGS = ['sync-data', 'sync-tasks', 'sync-expenses', 'sync-journal'];
+
 self.addEventListener('sync', (event) => {
   console.log('[Service Worker] Background sync:', event.tag);
   
-  if (event.tag === 'sync-tasks') {
-    event.waitUntil(syncTasks());
-  } else if (event.tag === 'sync-expenses') {
-    event.waitUntil(syncExpenses());
-  } else if (event.tag === 'sync-journal') {
-    event.waitUntil(syncJournal());
+  if (SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(requestPageSync());
   }
 });
 
@@ -246,111 +264,20 @@ if (self.registration && self.registration.periodicSync) {
   self.addEventListener('periodicsync', (event) => {
     if (event.tag === 'daily-sync') {
       console.log('[Service Worker] Running daily sync');
-      event.waitUntil(performDailySync());
+      event.waitUntil(requestPageSync());
     }
   });
 }
 
 // Sync functions
-async function syncTasks() {
-  const db = await openDatabase();
-  const offlineTasks = await getAllFromStore(db, 'tasks', 'sync');
-  
-  for (const task of offlineTasks) {
-    try {
-      await fetch('/api/tasks', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(task)
-      });
-      
-      // Mark as synced
-      await updateInStore(db, 'tasks', { ...task, sync: 'synced' });
-    } catch (error) {
-      console.error('Failed to sync task:', error);
-    }
+// Uploads are merged with the server's versions by sync.js, which only runs
+// in the page, so the worker asks an open DailyTrack window to sync. Without
+// one the sync fails and the browser retries later; unsynced records also
+// go up the next time the app opens.
+async function requestPageSync() {
+  const windows = await clients.matchAll({ type: 'window' });
+  if (windows.length === 0) {
+    throw new Error('No open window to sync from');
   }
+  windows.forEach(client => client.postMessage({ type: 'sync-requested' }));
 }
-
-async function syncExpenses() {
-  // Similar implementation for expenses
-}
-
-async function syncJournal() {
-  // Similar implementation for journal
-}
-
-async function performDailySync() {
-  await Promise.all([
-    syncTasks(),
-    syncExpenses(),
-    syncJournal()
-  ]);
-}
-
-// Database helper functions
-function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('DailyTrackDB', 2);
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      if (!db.objectStoreNames.contains('tasks')) {
-        const store = db.createObjectStore('tasks', { keyPath: 'id' });
-        store.createIndex('by-date', 'createdAt');
-        store.createIndex('by-sync', 'sync');
-      }
-      
-      if (!db.objectStoreNames.contains('expenses')) {
-        const store = db.createObjectStore('expenses', { keyPath: 'id' });
-        store.createIndex('by-date', 'date');
-        store.createIndex('by-category', 'category');
-      }
-      
-      if (!db.objectStoreNames.contains('habits')) {
-        const store = db.createObjectStore('habits', { keyPath: 'id' });
-        store.createIndex('by-streak', 'currentStreak');
-      }
-      
-      if (!db.objectStoreNames.contains('journal')) {
-        const store = db.createObjectStore('journal', { keyPath: 'id' });
-        store.createIndex('by-date', 'date');
-      }
-      
-      if (!db.objectStoreNames.contains('syncQueue')) {
-        const store = db.createObjectStore('syncQueue', { 
-          keyPath: 'id',
-          autoIncrement: true 
-        });
-        store.createIndex('by-type', 'type');
-      }
-    };
-    
-    request.onsuccess = (event) => resolve(event.target.result);
-    request.onerror = (event) => reject(event.target.error);
-  });
-}
-
-function getAllFromStore(db, storeName, indexName) {
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readonly');
-    const store = transaction.objectStore(storeName);
-    const index = indexName ? store.index(indexName) : store;
-    const request = index.getAll();
-    
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-}
-
-function updateInStore(db, storeName, item) {
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    const request = store.put(item);
-    
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-}
\ No newline at end of file
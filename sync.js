@@ -1,9 +1,40 @@
 // Background sync and cloud synchronization manager
+import { db } from './db.js';
+import { apiRequest, isSyncConfigured } from './api.js';
+import { ATTACHMENT_PARENTS } from './attachments.js';
+import { SYNCED_STORES, SYNC_META_FIELDS, getDerivedFields, getSyncKey, isEqual, mergeRecords, unionFields } from './merge.js';
+import { daysAgo, getToday } from './dates.js';
+
+// Fields that belong to this device and are never sent
+const DEVICE_FIELDS = {
+  settings: ['syncEndpoint', 'syncToken']
+};
+
+// Waits between retries: 30s, 1m, 2m, ... up to an hour
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+
+// Delay before the next try after `attempts` failures. Jitter takes up to
+// half of it off at random, so devices that failed together (a server
+// outage) do not all come back at the same moment.
+function getRetryDelay(attempts) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// The server refused the data itself, so sending it again cannot help. A
+// wrong token (401/403) is fixed in settings, and 408/429 are transient.
+function isPermanentError(error) {
+  return error.status >= 400 && error.status < 500 && ![401, 403, 408, 429].includes(error.status);
+}
+
 class SyncManager {
   constructor() {
     this.syncInterval = 5 * 60 * 1000; // 5 minutes
-    this.maxRetries = 3;
+    this.maxRetries = 5;
     this.isSyncing = false;
+    this.failedSyncs = 0;
+    this.syncTimer = null;
     this.offlineQueue = [];
     this.syncHandlers = new Map();
   }
@@ -22,6 +53,15 @@ class SyncManager {
     window.addEventListener('online', () => this.onNetworkRestored());
     window.addEventListener('offline', () => this.onNetworkLost());
 
+    // The service worker asks for a sync when background sync fires
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'sync-requested' && navigator.onLine && !this.isSyncing) {
+          this.syncAll();
+        }
+      });
+    }
+
     // Register for background sync
     if ('serviceWorker' in navigator && 'SyncManager' in window) {
       await this.registerBackgroundSync();
@@ -36,15 +76,18 @@ class SyncManager {
     this.syncHandlers.set('habit', this.syncHabit.bind(this));
     this.syncHandlers.set('journal', this.syncJournal.bind(this));
     this.syncHandlers.set('settings', this.syncSettings.bind(this));
+    // Queued by earlier versions; deletions now travel as tombstones
+    this.syncHandlers.set('task-delete', ({ id }) => this.pushDeletion('tasks', id, new Date().toISOString()));
+    // Changes the server rejected, put back in line from the dead letters
+    this.syncHandlers.set('record', ({ storeName, id }) => this.uploadStoredRecord(storeName, id));
+    this.syncHandlers.set('deletion', ({ storeName, id, deletedAt }) => this.pushTombstone(storeName, id, deletedAt));
   }
 
   async registerBackgroundSync() {
     const registration = await navigator.serviceWorker.ready;
     
     try {
-      await registration.sync.register('sync-tasks');
-      await registration.sync.register('sync-expenses');
-      await registration.sync.register('sync-journal');
+      await registration.sync.register('sync-data');
       
       console.log('Background sync registered');
     } catch (error) {
@@ -53,126 +96,374 @@ class SyncManager {
   }
 
   startPeriodicSync() {
-    setInterval(() => {
+    this.scheduleNextSync();
+  }
+
+  // Runs the next sync after the regular interval, or earlier when a queued
+  // item waits for a retry. Items already due were just tried by the last
+  // sync, so only future retries count. While whole syncs keep failing
+  // (server down), they back off like queued items instead.
+  async scheduleNextSync() {
+    clearTimeout(this.syncTimer);
+
+    let delay = this.syncInterval;
+    if (this.failedSyncs > 0) {
+      delay = getRetryDelay(this.failedSyncs);
+    } else if (isSyncConfigured()) {
+      const now = Date.now();
+      const retries = (await db.getPendingSyncItems())
+        .map(item => new Date(item.nextAttemptAt || 0).getTime())
+        .filter(time => time > now);
+      delay = Math.max(1000, Math.min(delay, ...retries.map(time => time - now)));
+    }
+
+    this.syncTimer = setTimeout(async () => {
       if (navigator.onLine && !this.isSyncing) {
-        this.syncAll();
+        await this.syncAll();
       }
-    }, this.syncInterval);
+      this.scheduleNextSync();
+    }, delay);
   }
 
+  // Resolves to true when a sync ran to completion
   async syncAll() {
     if (this.isSyncing) {
       console.log('Sync already in progress');
-      return;
+      return false;
+    }
+
+    if (!isSyncConfigured()) {
+      this.emit('syncSkipped', { reason: 'No sync server configured' });
+      return false;
     }
 
     this.isSyncing = true;
 
     try {
+      // Pull first, so local edits are merged with remote ones before
+      // uploading; the server keeps whole records and the newest one wins
+      await this.fetchRemoteChanges();
       await this.syncPendingItems();
       await this.syncLocalChanges();
-      await this.fetchRemoteChanges();
       
+      this.failedSyncs = 0;
       this.emit('syncComplete', { success: true });
+      return true;
     } catch (error) {
       console.error('Sync failed:', error);
+      this.failedSyncs++;
       this.emit('syncError', { error });
+      return false;
     } finally {
       this.isSyncing = false;
     }
   }
 
+  // Sends the queued items that are due. An item that fails waits longer
+  // before each new attempt (see getRetryDelay); after maxRetries attempts,
+  // or at once when the server rejects it, it becomes a dead letter with
+  // status 'failed' that the user can retry or discard in settings. Items of
+  // a type this version has no handler for become dead letters right away.
   async syncPendingItems() {
-    const pendingItems = await db.getPendingSyncItems();
+    const now = new Date().toISOString();
+    const dueItems = (await db.getPendingSyncItems())
+      .filter(item => !item.nextAttemptAt || item.nextAttemptAt <= now);
     
-    for (const item of pendingItems) {
+    for (const item of dueItems) {
       try {
         const handler = this.syncHandlers.get(item.type);
-        if (handler) {
-          await handler(item.data);
-          await db.markSyncItemComplete(item.id);
+        if (!handler) {
+          await this.recordFailedAttempt(item, new Error(`Unknown sync item type: ${item.type}`), true);
+          continue;
         }
+        await handler(item.data);
+        await db.markSyncItemComplete(item.id);
       } catch (error) {
         console.error(`Failed to sync item ${item.id}:`, error);
-        item.attempts = (item.attempts || 0) + 1;
-        
-        if (item.attempts >= this.maxRetries) {
-          item.status = 'failed';
-          await db.update('syncQueue', item);
-        }
+        await this.recordFailedAttempt(item, error);
+      }
+    }
+  }
+
+  // `permanent` fails the item at once, like an error the server rejects
+  async recordFailedAttempt(item, error, permanent = isPermanentError(error)) {
+    const attempts = (item.attempts || 0) + 1;
+    const now = Date.now();
+    const failed = permanent || attempts >= this.maxRetries;
+
+    const updated = {
+      ...item,
+      attempts,
+      lastError: error.message,
+      lastAttemptAt: new Date(now).toISOString(),
+      nextAttemptAt: failed ? null : new Date(now + getRetryDelay(attempts)).toISOString()
+    };
+    if (failed) {
+      updated.status = 'failed';
+      updated.failedAt = updated.lastAttemptAt;
+    }
+    await db.update('syncQueue', updated);
+
+    if (failed) {
+      this.emit('deadLetter', updated);
+    }
+  }
+
+  // Sync queue items that ran out of retries, newest first
+  async getDeadLetters() {
+    return await db.getFailedSyncItems();
+  }
+
+  // Queues a dead letter again with a fresh set of attempts
+  async retryDeadLetter(id) {
+    await db.retrySyncItem(id);
+  }
+
+  // Drops a dead letter. A rejected record stays on this device but is not
+  // uploaded again until it is next edited; a rejected deletion leaves the
+  // record on the server.
+  async discardDeadLetter(id) {
+    const item = await db.get('syncQueue', id);
+    if (!item) return;
+
+    if (item.type === 'record') {
+      const record = await db.get(item.data.storeName, item.data.id);
+      if (record && !record.synced) {
+        await db.update(item.data.storeName, { ...record, synced: true });
       }
+    } else if (item.type === 'deletion') {
+      await db.delete('tombstones', getSyncKey(item.data.storeName, item.data.id));
     }
+    await db.delete('syncQueue', id);
+  }
+
+  // Keys (see getSyncKey) of the changes of `type` that the sync queue
+  // retries, see sendOrDeadLetter
+  async getQueuedKeys(type) {
+    const items = [...await db.getPendingSyncItems(type), ...await db.getFailedSyncItems()];
+    return new Set(items.filter(item => item.type === type)
+      .map(item => getSyncKey(item.data.storeName, item.data.id)));
   }
 
   async syncLocalChanges() {
-    // Sync tasks
-    const localTasks = await db.getAll('tasks');
-    const unsyncedTasks = localTasks.filter(task => !task.synced);
-    
-    for (const task of unsyncedTasks) {
-      await this.syncTask(task);
-      task.synced = true;
-      await db.update('tasks', task);
+    // Deletions first, so a deleted record is never uploaded again
+    await this.pushDeletions();
+
+    // Records with an open conflict wait until the user has reviewed it,
+    // and rejected ones go through the sync queue
+    const held = await this.getQueuedKeys('record');
+    (await db.getConflicts()).forEach(conflict => held.add(conflict.id));
+    const isPending = (storeName, record) => !record.synced && !held.has(getSyncKey(storeName, record.id));
+
+    for (const storeName of SYNCED_STORES) {
+      const records = await db.getAll(storeName);
+
+      for (const record of records.filter(item => isPending(storeName, item))) {
+        await this.sendOrDeadLetter('record', { storeName, id: record.id }, () => this.uploadRecord(storeName, record));
+      }
     }
 
-    // Sync expenses
-    const localExpenses = await db.getAll('expenses');
-    const unsyncedExpenses = localExpenses.filter(expense => !expense.synced);
-    
-    for (const expense of unsyncedExpenses) {
-      await this.syncExpense(expense);
-      expense.synced = true;
-      await db.update('expenses', expense);
+    const settings = await db.get('settings', 'general');
+    if (settings && isPending('settings', settings)) {
+      await this.sendOrDeadLetter('record', { storeName: 'settings', id: settings.id }, () => this.uploadRecord('settings', settings));
     }
+  }
 
-    // Sync journal entries
-    const localJournal = await db.getAll('journal');
-    const unsyncedJournal = localJournal.filter(entry => !entry.synced);
-    
-    for (const entry of unsyncedJournal) {
-      await this.syncJournal(entry);
-      entry.synced = true;
-      await db.update('journal', entry);
+  async uploadRecord(storeName, record) {
+    if (storeName === 'settings') {
+      const response = await this.syncSettings(record);
+      await this.pushRecord('settings', record, { record: response?.settings });
+    } else {
+      await this.pushRecord(storeName, record, await this.apiRequest('POST', `/api/${storeName}`, record));
+    }
+  }
+
+  // A change the server rejects becomes a dead letter of `type` instead of
+  // failing every sync after it; other errors end the sync as before
+  async sendOrDeadLetter(type, data, send) {
+    try {
+      await send();
+    } catch (error) {
+      if (!isPermanentError(error)) throw error;
+
+      console.error(`Server rejected ${type} of ${getSyncKey(data.storeName, data.id)}:`, error);
+      const id = await db.addToSyncQueue(type, data);
+      await this.recordFailedAttempt(await db.get('syncQueue', id), error);
+    }
+  }
+
+  async uploadStoredRecord(storeName, id) {
+    const record = await db.get(storeName, id);
+    // Gone or already uploaded since it was rejected
+    if (record && !record.synced) {
+      await this.uploadRecord(storeName, record);
+    }
+  }
+
+  // Settles a local record after uploading it, given the server's response
+  async pushRecord(storeName, record, response) {
+    const stored = response?.record;
+
+    if (response?.deletedAt) {
+      // Deleted on another device after this edit
+      await this.applyRemoteDeletions(storeName, [{ id: record.id, deletedAt: response.deletedAt }]);
+    } else if (stored && stored.updatedAt !== record.updatedAt) {
+      // The server already had a newer version; merge it like a pull
+      await this.applyRemoteUpdates(storeName, [stored]);
+    } else {
+      await db.update(storeName, { ...record, synced: true });
+      await db.saveSyncBase(storeName, this.withoutDeviceFields(storeName, record));
     }
   }
 
+  withoutDeviceFields(storeName, record) {
+    const shared = { ...record };
+    (DEVICE_FIELDS[storeName] || []).forEach(field => delete shared[field]);
+    return shared;
+  }
+
   async fetchRemoteChanges() {
-    // Fetch updates from server
+    // Fetch updates from server. `since` is the server's own clock from the
+    // previous response, so device clock skew cannot skip changes. It also
+    // tells the server which deletions this device has seen.
     const lastSync = localStorage.getItem('lastSync') || 0;
+    const updates = await this.apiRequest('GET', `/api/sync?since=${lastSync}&device=${encodeURIComponent(this.getDeviceId())}`);
     
-    try {
-      const updates = await this.apiRequest('GET', `/api/sync?since=${lastSync}`);
-      
-      if (updates.tasks && updates.tasks.length > 0) {
-        await this.applyRemoteUpdates('tasks', updates.tasks);
+    for (const storeName of SYNCED_STORES) {
+      if (updates[storeName] && updates[storeName].length > 0) {
+        await this.applyRemoteUpdates(storeName, updates[storeName]);
       }
-      
-      if (updates.expenses && updates.expenses.length > 0) {
-        await this.applyRemoteUpdates('expenses', updates.expenses);
+      if (updates.deleted?.[storeName]?.length > 0) {
+        await this.applyRemoteDeletions(storeName, updates.deleted[storeName]);
       }
-      
-      if (updates.journal && updates.journal.length > 0) {
-        await this.applyRemoteUpdates('journal', updates.journal);
+    }
+
+    if (updates.settings) {
+      await this.applyRemoteUpdates('settings', [{ ...updates.settings, id: 'general' }]);
+    }
+
+    if (updates.full) {
+      await this.dropMissingRecords(updates);
+    }
+    
+    localStorage.setItem('lastSync', updates.serverTime || Date.now());
+  }
+
+  // Identifies this device to the server, which keeps tombstones until
+  // every device has synced past them
+  getDeviceId() {
+    let deviceId = localStorage.getItem('syncDeviceId');
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      localStorage.setItem('syncDeviceId', deviceId);
+    }
+    return deviceId;
+  }
+
+  // Rejected deletions keep their tombstone while they wait in the sync
+  // queue, so pulls do not bring the record back meanwhile
+  async pushDeletions() {
+    const held = await this.getQueuedKeys('deletion');
+    const tombstones = (await db.getAll('tombstones')).filter(tombstone => !held.has(tombstone.id));
+
+    for (const { storeName, recordId, deletedAt } of tombstones) {
+      await this.sendOrDeadLetter('deletion', { storeName, id: recordId, deletedAt },
+        () => this.pushTombstone(storeName, recordId, deletedAt));
+    }
+  }
+
+  async pushTombstone(storeName, id, deletedAt) {
+    await this.pushDeletion(storeName, id, deletedAt);
+    // From here on the server's tombstone reaches the other devices
+    await db.delete('tombstones', getSyncKey(storeName, id));
+  }
+
+  async pushDeletion(storeName, id, deletedAt) {
+    const result = await this.apiRequest('DELETE', `/api/${storeName}`, { id, deletedAt });
+    if (result?.record) {
+      // Edited on another device after it was deleted here: the edit wins
+      await this.applyRemoteUpdates(storeName, [result.record]);
+    }
+  }
+
+  // Local edits made after a remote deletion win over it and are uploaded
+  // again on the next sync
+  async applyRemoteDeletions(storeName, deletions) {
+    for (const { id, deletedAt } of deletions) {
+      const existing = await db.get(storeName, id);
+      if (existing?.synced === false && new Date(existing.updatedAt) > new Date(deletedAt)) continue;
+      await this.removeLocalRecord(storeName, id);
+    }
+  }
+
+  // A full response follows tombstones the server purged before this
+  // device saw them: synced records missing from it were deleted elsewhere
+  async dropMissingRecords(updates) {
+    for (const storeName of SYNCED_STORES) {
+      const ids = new Set((updates[storeName] || []).map(record => record.id));
+      const records = await db.getAll(storeName);
+
+      for (const record of records.filter(item => item.synced !== false && !ids.has(item.id))) {
+        await this.removeLocalRecord(storeName, record.id);
       }
-      
-      localStorage.setItem('lastSync', Date.now());
-    } catch (error) {
-      console.error('Failed to fetch remote changes:', error);
     }
   }
 
+  async removeLocalRecord(storeName, id) {
+    await db.delete(storeName, id);
+    if (ATTACHMENT_PARENTS.includes(storeName)) {
+      await db.deleteAttachments(storeName, id);
+    }
+    await db.forgetSyncState(storeName, id);
+  }
+
+  // Remote changes to a record with local edits that are not uploaded yet
+  // are merged field by field against the last synced version (see
+  // merge.js). Fields changed differently on both sides keep the local
+  // value and are recorded as a conflict for review. Without a synced
+  // version to compare with, the newer record wins as a whole, apart from
+  // fields merged as a union.
   async applyRemoteUpdates(storeName, updates) {
+    // Derived fields are recomputed, so they differ whenever the merge
+    // runs on another day than the upload and say nothing about edits
+    const ignored = [...SYNC_META_FIELDS, ...getDerivedFields(storeName), ...(DEVICE_FIELDS[storeName] || [])];
+
     for (const update of updates) {
+      // Deleted here after that version; the deletion is pushed next
+      const tombstone = await db.get('tombstones', getSyncKey(storeName, update.id));
+      if (tombstone && new Date(update.updatedAt) <= new Date(tombstone.deletedAt)) continue;
+
       const existing = await db.get(storeName, update.id);
-      
-      if (existing) {
-        // Conflict resolution: use latest timestamp
-        if (new Date(update.updatedAt) > new Date(existing.updatedAt)) {
-          await db.update(storeName, update);
-        }
-      } else {
-        await db.add(storeName, update);
+      const localEdits = existing?.synced === false;
+      const base = localEdits ? await db.getSyncBase(storeName, update.id) : null;
+      const remote = { ...update, synced: true };
+      (DEVICE_FIELDS[storeName] || []).forEach(field => {
+        if (existing?.[field] !== undefined) remote[field] = existing[field];
+      });
+
+      let result = remote;
+      let conflicts = [];
+      if (base) {
+        ({ merged: result, conflicts } = mergeRecords(base, existing, update, storeName));
+      } else if (existing && new Date(update.updatedAt) <= new Date(existing.updatedAt)) {
+        if (!localEdits) continue;
+        result = unionFields(storeName, existing, update);
+      } else if (localEdits) {
+        result = unionFields(storeName, remote, existing);
+      }
+
+      // Anything left that differs from the remote version is uploaded on
+      // the next sync, stamped after it even if this device's clock is behind
+      const changed = Object.keys({ ...result, ...update })
+        .some(field => !ignored.includes(field) && !isEqual(result[field], update[field]));
+      const updatedAt = new Date(Math.max(Date.now(), new Date(update.updatedAt).getTime() + 1)).toISOString();
+      await db.update(storeName, changed ? { ...result, updatedAt, synced: false } : remote);
+
+      if (conflicts.length > 0) {
+        await db.saveConflict(storeName, update.id, conflicts, update);
+        this.emit('conflict', { storeName, id: update.id, fields: conflicts.map(conflict => conflict.field) });
       }
+      await db.saveSyncBase(storeName, update);
     }
   }
 
@@ -193,46 +484,19 @@ class SyncManager {
   }
 
   async syncSettings(settings) {
-    return await this.apiRequest('PUT', '/api/settings', settings);
+    return await this.apiRequest('PUT', '/api/settings', this.withoutDeviceFields('settings', settings));
   }
 
-  async apiRequest(method, endpoint, data = null) {
-    // Check if we're online
-    if (!navigator.onLine) {
-      throw new Error('Offline - queued for later sync');
-    }
-
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.getAuthToken()}`
-      }
-    };
-
-    if (data) {
-      options.body = JSON.stringify(data);
-    }
-
+  // Requests go to the server from the sync settings (see api.js)
+  async apiRequest(method, path, data = null) {
     try {
-      const response = await fetch(`https://api.DailyTrack.app${endpoint}`, options);
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-      
-      return await response.json();
+      return await apiRequest(method, path, data);
     } catch (error) {
       console.error('API request failed:', error);
       throw error;
     }
   }
 
-  getAuthToken() {
-    // Get auth token from secure storage
-    return localStorage.getItem('auth_token');
-  }
-
   async queueForSync(type, data) {
     const item = {
       type,
@@ -305,14 +569,7 @@ class SyncManager {
   }
 
   async getSyncStatistics() {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const syncMetrics = await db.getAnalytics(
-      thirtyDaysAgo.toISOString().split('T')[0],
-      new Date().toISOString().split('T')[0],
-      'sync'
-    );
+    const syncMetrics = await db.getAnalytics(daysAgo(30), getToday(), 'sync');
 
     const stats = {
       totalSyncs: syncMetrics.length,
@@ -334,7 +591,7 @@ class SyncManager {
   // Manual sync control
   async forceSync() {
     console.log('Manual sync triggered');
-    await this.syncAll();
+    return await this.syncAll();
   }
 
   async clearSyncQueue() {
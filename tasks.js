@@ -0,0 +1,92 @@
+// Task model helpers shared by the DailyTrack UIs and repository
+
+// Subtasks are stored in order on the parent: [{ id, title, completed, completedAt }]
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return [];
+
+  return subtasks
+    .map((subtask, index) => ({
+      id: subtask.id || `${Date.now().toString(36)}-${index}`,
+      title: (subtask.title || '').trim(),
+      completed: Boolean(subtask.completed),
+      completedAt: subtask.completed ? subtask.completedAt || new Date().toISOString() : null
+    }))
+    .filter(subtask => subtask.title);
+}
+
+// Progress of a single task. A completed task always counts as done; an open
+// one earns partial credit for its finished subtasks.
+export function getTaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  const done = subtasks.filter(subtask => subtask.completed).length;
+  const total = subtasks.length;
+
+  let ratio = 0;
+  if (task.completed) {
+    ratio = 1;
+  } else if (total > 0) {
+    ratio = done / total;
+  }
+
+  return { done, total, ratio };
+}
+
+// Average progress across tasks, each task weighing the same
+export function getCompletionRatio(tasks) {
+  if (!tasks || tasks.length === 0) return 0;
+
+  const sum = tasks.reduce((total, task) => total + getTaskProgress(task).ratio, 0);
+  return sum / tasks.length;
+}
+
+// Dependencies: `blockedBy` holds the ids of tasks that must be finished
+// before this one can start. Blocked state is derived, never stored.
+export function normalizeBlockedBy(blockedBy, taskId) {
+  if (!Array.isArray(blockedBy)) return [];
+
+  return Array.from(new Set(blockedBy.map(String)))
+    .filter(id => id && id !== String(taskId));
+}
+
+// Blockers that still exist and are not completed
+export function getOpenBlockers(task, tasks) {
+  const blockedBy = task.blockedBy || [];
+  if (blockedBy.length === 0) return [];
+
+  return tasks.filter(other => blockedBy.includes(other.id) && !other.completed);
+}
+
+export function isTaskBlocked(task, tasks) {
+  return !task.completed && getOpenBlockers(task, tasks).length > 0;
+}
+
+// Tasks that list `taskId` as one of their blockers
+export function getDependents(taskId, tasks) {
+  return tasks.filter(task => (task.blockedBy || []).includes(taskId));
+}
+
+// Returns the chain of ids that would form a loop if `taskId` were blocked by
+// `blockedBy`, e.g. ['a', 'b', 'c', 'a'], or null when the links are safe.
+export function findDependencyCycle(taskId, blockedBy, tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const visited = new Set();
+
+  const walk = (id, path) => {
+    if (id === taskId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    for (const blockerId of byId.get(id)?.blockedBy || []) {
+      const cycle = walk(blockerId, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const blockerId of blockedBy || []) {
+    const cycle = walk(blockerId, [taskId]);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
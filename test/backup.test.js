@@ -0,0 +1,39 @@
+// Restoring a backup on a device that syncs
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../db.js';
+import { syncManager } from '../sync.js';
+
+console.log = () => {};
+await db.init();
+
+const task = (id, updatedAt = '2026-10-01T08:00:00.000Z') => ({ id, title: `Task ${id}`, updatedAt, synced: true });
+
+test('a restore deletes the records the backup does not have everywhere', async () => {
+  await db.add('tasks', task('t1'));
+  await db.add('tasks', task('t2'));
+  await db.add('tasks', task('t4'));
+  await db.addTombstone('tasks', 't3');
+  await db.addTombstone('tasks', 't1');
+  await db.add('activityLog', { id: 'a1', action: 'Task added', timestamp: '2026-10-01T08:00:00.000Z' });
+  const backup = {
+    data: { tasks: [task('t1')], expenses: [{ id: 'e1', amount: 5, updatedAt: '2026-10-01T08:00:00.000Z', synced: true }] },
+    version: '2.0'
+  };
+
+  await db.importData(backup);
+
+  assert.deepEqual((await db.getAll('tasks')).map(record => record.id), ['t1']);
+  const tombstones = (await db.getAll('tombstones')).filter(tombstone => tombstone.storeName === 'tasks');
+  assert.deepEqual(tombstones.map(tombstone => tombstone.id).sort(), ['tasks:t2', 'tasks:t3', 'tasks:t4']);
+  assert.ok(await db.get('activityLog', 'a1'));
+  assert.equal(await db.get('tombstones', 'activityLog:a1'), undefined);
+});
+
+test('the next pull does not bring removed records back', async () => {
+  await syncManager.applyRemoteUpdates('tasks', [task('t2'), task('t4'), task('t1', '2026-10-02T08:00:00.000Z')]);
+
+  assert.deepEqual((await db.getAll('tasks')).map(record => record.id), ['t1']);
+  assert.equal((await db.get('tasks', 't1')).updatedAt, '2026-10-02T08:00:00.000Z');
+});
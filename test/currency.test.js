@@ -0,0 +1,64 @@
+// Exchange rates and totals in the default currency
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertAmount, getExchangeRate, setDefaultCurrency, setExchangeRates } from '../currency.js';
+import { db } from '../db.js';
+
+console.log = () => {};
+const round = (value) => Math.round(value * 100) / 100;
+
+setDefaultCurrency('USD');
+setExchangeRates([
+  { date: '2026-10-01', from: 'EUR', to: 'USD', rate: 1.25 },
+  { date: '2026-10-10', from: 'EUR', to: 'USD', rate: 1.5 },
+  { date: '2026-10-05', from: 'USD', to: 'GBP', rate: 0.8 }
+]);
+
+test('a date without its own rate uses the latest one before it', () => {
+  assert.equal(convertAmount(10, 'EUR', 'USD', '2026-10-01'), 12.5);
+  assert.equal(convertAmount(10, 'EUR', 'USD', '2026-10-09'), 12.5);
+  assert.equal(convertAmount(10, 'EUR', 'USD', '2026-10-18'), 15);
+});
+
+test('a date before every rate uses the earliest one', () => {
+  assert.equal(convertAmount(10, 'EUR', 'USD', '2026-09-01'), 12.5);
+});
+
+test('rates work backwards and through a third currency', () => {
+  assert.equal(convertAmount(8, 'GBP', 'USD', '2026-10-06'), 10);
+  assert.equal(round(convertAmount(10, 'EUR', 'GBP', '2026-10-10')), 12);
+  assert.equal(round(convertAmount(12, 'GBP', 'EUR', '2026-10-10')), 10);
+});
+
+test('currencies the table cannot connect have no rate', () => {
+  assert.equal(getExchangeRate('JPY', 'USD', '2026-10-10'), null);
+  assert.equal(convertAmount(1000, 'JPY', 'USD', '2026-10-10'), null);
+  assert.equal(convertAmount(7, 'JPY', 'JPY'), 7);
+  assert.equal(convertAmount(7, null, 'USD'), 7);
+});
+
+test('expense summaries convert what they can and list the rest', async () => {
+  await db.init();
+  const expenses = [
+    { id: 'e1', amount: 10, category: 'food', date: '2026-10-02' },
+    { id: 'e2', amount: 10, currency: 'EUR', category: 'food', date: '2026-10-10' },
+    { id: 'e3', amount: 1000, currency: 'JPY', category: 'food', date: '2026-10-11' },
+    {
+      id: 'e4', amount: 20, currency: 'EUR', category: 'food', date: '2026-10-03',
+      splits: [{ category: 'food', amount: 16 }, { category: 'shopping', amount: 4 }]
+    },
+    { id: 'e5', amount: 99, category: 'food', date: '2026-11-01' }
+  ];
+  for (const expense of expenses) {
+    await db.add('expenses', expense);
+  }
+
+  const summary = await db.getExpenseSummary('2026-10-01', '2026-10-31');
+
+  assert.equal(summary.count, 4);
+  assert.deepEqual(summary.unconverted.map(expense => expense.id), ['e3']);
+  assert.equal(summary.total, 10 + 15 + 25);
+  assert.deepEqual(summary.byCategory, { food: 10 + 15 + 20, shopping: 5 });
+  assert.equal(round(summary.average), round(50 / 3));
+});
@@ -0,0 +1,23 @@
+// Calendar date helpers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays, addMonths, normalizeDate } from '../dates.js';
+
+test('normalizeDate keeps dates and reduces timestamps to a date', () => {
+  assert.equal(normalizeDate('2026-10-18'), '2026-10-18');
+  assert.match(normalizeDate('2026-10-18T12:00:00.000Z'), /^2026-10-1[89]$/);
+});
+
+test('normalizeDate rejects values that are no date', () => {
+  assert.equal(normalizeDate(''), null);
+  assert.equal(normalizeDate(null), null);
+  assert.equal(normalizeDate('not a date'), null);
+  assert.equal(normalizeDate('2026-02-30'), null);
+  assert.equal(normalizeDate('2026-13-01'), null);
+});
+
+test('calendar arithmetic crosses months and clamps month ends', () => {
+  assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(addMonths('2026-03-31', -1), '2026-02-28');
+});
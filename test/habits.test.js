@@ -0,0 +1,100 @@
+// Habit schedules, streaks and logged amounts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeHabitStreaks, getHabitStatus, getHabitValue, normalizeHabitValues, setVacations, withCompletion, withSkip, withValue
+} from '../habits.js';
+
+const habit = (fields, done = []) => ({
+  id: 'h1',
+  name: 'Read',
+  frequency: 'daily',
+  createdAt: '2026-09-01T08:00:00.000Z',
+  completionHistory: done,
+  ...fields
+});
+const streaks = (fields, done, today) => computeHabitStreaks(habit(fields, done), today);
+
+test('daily streaks run across month ends and wait for today', () => {
+  const done = ['2026-09-29', '2026-09-30', '2026-10-01'];
+
+  assert.deepEqual(streaks({}, done, '2026-10-02'), { currentStreak: 3, longestStreak: 3 });
+  assert.deepEqual(streaks({}, done, '2026-10-03'), { currentStreak: 0, longestStreak: 3 });
+});
+
+test('weekly habits count completions per Monday-based week', () => {
+  const weekly = { frequency: 'weekly', timesPerWeek: 2, createdAt: '2026-09-21T08:00:00.000Z' };
+  // Sunday the 27th closes its own week; the next week spans September and October
+  const done = ['2026-09-22', '2026-09-27', '2026-09-30', '2026-10-03', '2026-10-05'];
+
+  assert.deepEqual(streaks(weekly, done, '2026-10-08'), { currentStreak: 2, longestStreak: 2 });
+  assert.deepEqual(streaks(weekly, done, '2026-10-12'), { currentStreak: 0, longestStreak: 2 });
+  assert.deepEqual(streaks(weekly, ['2026-09-27', '2026-09-28', '2026-10-01'], '2026-10-05'),
+    { currentStreak: 1, longestStreak: 1 });
+});
+
+test('weekday habits only look at their scheduled days', () => {
+  const weekdays = { frequency: 'weekdays', weekdays: [1, 3], createdAt: '2026-10-05T08:00:00.000Z' };
+  const done = ['2026-10-05', '2026-10-07', '2026-10-12'];
+
+  assert.deepEqual(streaks(weekdays, done, '2026-10-13'), { currentStreak: 3, longestStreak: 3 });
+  assert.deepEqual(streaks(weekdays, done, '2026-10-14'), { currentStreak: 3, longestStreak: 3 });
+  assert.deepEqual(streaks(weekdays, done, '2026-10-15'), { currentStreak: 0, longestStreak: 3 });
+  assert.equal(getHabitStatus(habit(weekdays, done), '2026-10-13').status, 'rest');
+});
+
+test('interval habits need one completion per window from their start', () => {
+  const interval = { frequency: 'interval', everyDays: 3, startDate: '2026-10-01' };
+  const done = ['2026-10-03', '2026-10-04', '2026-10-09'];
+
+  assert.deepEqual(streaks(interval, done, '2026-10-11'), { currentStreak: 3, longestStreak: 3 });
+  assert.deepEqual(streaks(interval, done, '2026-10-13'), { currentStreak: 0, longestStreak: 3 });
+  assert.equal(getHabitStatus(habit(interval, done), '2026-10-05').status, 'met');
+});
+
+test('backfilled days before the habit was created extend its streak', () => {
+  let backfilled = habit({ createdAt: '2026-10-10T08:00:00.000Z' }, ['2026-10-10']);
+  backfilled = withCompletion(backfilled, '2026-10-09', true, '2026-10-11');
+  backfilled = withCompletion(backfilled, '2026-10-08', true, '2026-10-11');
+
+  assert.equal(backfilled.currentStreak, 3);
+  assert.equal(backfilled.lastCompleted, '2026-10-10');
+  assert.deepEqual(backfilled.completionHistory, ['2026-10-08', '2026-10-09', '2026-10-10']);
+});
+
+test('quantitative habits are done once a day reaches the target', () => {
+  let water = normalizeHabitValues(habit({ target: 8, unit: 'glasses' }, ['2026-10-01']));
+  water = withValue(water, '2026-10-02', 5, '2026-10-03');
+  water = withValue(water, '2026-10-03', 10, '2026-10-03');
+
+  assert.deepEqual(water.values, { '2026-10-01': 8, '2026-10-02': 5, '2026-10-03': 10 });
+  assert.deepEqual(water.completionHistory, ['2026-10-01', '2026-10-03']);
+  assert.equal(getHabitValue(water, '2026-10-02'), 5);
+  assert.equal(getHabitStatus(water, '2026-10-02').status, 'due');
+  assert.equal(water.currentStreak, 1);
+
+  // Raising the target re-derives the done days
+  assert.deepEqual(normalizeHabitValues({ ...water, target: 10 }).completionHistory, ['2026-10-03']);
+});
+
+test('vacations and skipped days neither break nor extend streaks', (t) => {
+  t.after(() => setVacations([]));
+  setVacations([{ start: '2026-10-05', end: '2026-10-11' }]);
+  const done = ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04', '2026-10-12', '2026-10-13'];
+
+  assert.deepEqual(streaks({}, done, '2026-10-14'), { currentStreak: 6, longestStreak: 6 });
+  assert.equal(getHabitStatus(habit({}, done), '2026-10-07').status, 'skipped');
+
+  // A week with four vacation days needs two of three completions; a week
+  // spent away entirely is left out
+  setVacations([{ start: '2026-09-28', end: '2026-10-04' }, { start: '2026-10-05', end: '2026-10-08' }]);
+  const weekly = { frequency: 'weekly', timesPerWeek: 3, createdAt: '2026-09-21T08:00:00.000Z' };
+  const weeks = ['2026-09-21', '2026-09-23', '2026-09-25', '2026-10-09', '2026-10-10'];
+  assert.deepEqual(streaks(weekly, weeks, '2026-10-12'), { currentStreak: 2, longestStreak: 2 });
+  assert.deepEqual(streaks(weekly, weeks.slice(0, 4), '2026-10-12'), { currentStreak: 0, longestStreak: 1 });
+
+  setVacations([]);
+  const frozen = withSkip(habit({}, ['2026-10-01', '2026-10-03']), '2026-10-02', 'freeze', '2026-10-04');
+  assert.equal(frozen.currentStreak, 2);
+  assert.equal(withSkip(frozen, '2026-10-02', null, '2026-10-04').currentStreak, 1);
+});
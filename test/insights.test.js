@@ -0,0 +1,76 @@
+// Month-end spending forecast
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forecastSpending } from '../insights.js';
+
+const rent = {
+  id: 'rent',
+  description: 'Rent',
+  amount: 1200,
+  category: 'bills',
+  recurrence: { freq: 'monthly', interval: 1 },
+  startDate: '2026-01-01',
+  lastCharged: '2026-10-01'
+};
+const gym = {
+  id: 'gym',
+  description: 'Gym',
+  amount: 10,
+  category: 'health',
+  recurrence: { freq: 'weekly', interval: 1 },
+  startDate: '2026-10-02',
+  lastCharged: '2026-10-02'
+};
+const expenses = [
+  { id: 'rent:2026-10-01', amount: 1200, category: 'bills', date: '2026-10-01', recurringId: 'rent' },
+  { id: 'gym:2026-10-02', amount: 10, category: 'health', date: '2026-10-02', recurringId: 'gym' },
+  { id: 'e1', amount: 20, category: 'food', date: '2026-10-01' },
+  { id: 'e2', amount: 10, category: 'food', date: '2026-10-03' },
+  { id: 'old', amount: 500, category: 'food', date: '2026-09-30' }
+];
+const budgets = [
+  { id: 'b1', category: 'bills', period: 'month', amount: 1300 },
+  { id: 'b2', category: 'food', period: 'month', amount: 250 },
+  { id: 'b3', category: '', period: 'month', amount: 1500 },
+  { id: 'b4', category: 'food', period: 'week', amount: 50 }
+];
+
+test('everyday spending is projected from its pace so far', () => {
+  const forecast = forecastSpending(expenses.filter(expense => !expense.recurringId), budgets, [], '2026-10-03');
+
+  assert.equal(forecast.daysElapsed, 3);
+  assert.equal(forecast.daysInMonth, 31);
+  assert.equal(forecast.spent, 30);
+  assert.equal(forecast.dailyPace, 10);
+  assert.equal(forecast.scheduled, 0);
+  assert.equal(forecast.projected, 310);
+});
+
+test('recurring charges count once and the ones still due are added', () => {
+  const forecast = forecastSpending(expenses, budgets, [rent, gym], '2026-10-03');
+
+  // Gym on Oct 9, 16, 23 and 30; rent is not due again this month
+  assert.equal(forecast.scheduled, 40);
+  assert.equal(forecast.spent, 1240);
+  assert.equal(forecast.dailyPace, 10);
+  assert.equal(forecast.projected, 310 + 1210 + 40);
+
+  const [bills, food, total] = forecast.budgets;
+  assert.equal(forecast.budgets.length, 3);
+  assert.equal(bills.projected, 1200);
+  assert.equal(bills.over, 0);
+  assert.equal(food.projected, 310);
+  assert.equal(food.over, 60);
+  assert.equal(total.projected, forecast.projected);
+  assert.equal(Math.round(total.percent), 104);
+});
+
+test('charges already due and paused templates are not forecast', () => {
+  const pending = { ...rent, id: 'pending', lastCharged: '2026-09-01' };
+  const paused = { ...gym, id: 'paused', active: false };
+  const forecast = forecastSpending([], [], [pending, paused], '2026-10-03');
+
+  // Charges up to today are written by the app itself, not forecast
+  assert.equal(forecast.scheduled, 0);
+  assert.equal(forecastSpending([], [], [{ ...pending, startDate: '2026-01-20' }], '2026-10-03').scheduled, 1200);
+});
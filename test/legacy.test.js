@@ -0,0 +1,72 @@
+// Moving data saved by the localStorage-based app into IndexedDB
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+console.log = () => {};
+
+const legacy = {
+  tasks: [{ id: 1, title: 'Pay rent', notes: 'Before the 5th', createdAt: '2026-09-01T08:00:00.000Z' }],
+  expenses: [
+    { id: 'e1', amount: 12, category: 'food', payment: 'card', date: '2026-09-05' },
+    { id: 'e2', amount: 4, category: 'food', payment: 'card', date: '2026-09-02' }
+  ],
+  habits: [{ id: 'h1', name: 'Read', frequency: 'daily', completionHistory: ['2026-09-01'] }],
+  habitLogs: { h1: ['2026-09-02'] },
+  activityLog: [{ id: 'a1', action: 'Task added', type: 'info', timestamp: '2026-09-01T08:00:00.000Z' }],
+  settings: { dailyBudget: 40, defaultCurrency: 'EUR', theme: 'dark' }
+};
+Object.entries(legacy).forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+
+const { repository } = await import('../repository.js');
+const { db } = await import('../db.js');
+const report = await repository.init();
+
+test('legacy records are stamped for sync', async () => {
+  assert.deepEqual(report.errors, []);
+
+  for (const [storeName, id] of [['tasks', '1'], ['expenses', 'e1'], ['habits', 'h1'], ['activityLog', 'a1']]) {
+    const record = await db.get(storeName, id);
+    assert.ok(record.updatedAt, storeName);
+    assert.equal(record.synced, false, storeName);
+  }
+  assert.equal((await db.get('tasks', '1')).description, 'Before the 5th');
+});
+
+test('legacy habits get values and their logged days', async () => {
+  const habit = await db.get('habits', 'h1');
+  assert.deepEqual(habit.values, { '2026-09-01': 1, '2026-09-02': 1 });
+  assert.deepEqual(habit.completionHistory, ['2026-09-01', '2026-09-02']);
+  assert.equal(habit.longestStreak, 2);
+});
+
+test('legacy expenses get a currency and their payment labels become accounts', async () => {
+  assert.equal((await db.get('expenses', 'e2')).currency, 'EUR');
+
+  const card = await db.get('accounts', 'card');
+  assert.equal(card.currency, 'EUR');
+  assert.equal(card.openingDate, '2026-09-02');
+  assert.equal(card.synced, false);
+  assert.equal(report.accounts, 1);
+});
+
+test('the legacy copy is dropped once everything moved', () => {
+  assert.equal(localStorage.getItem('tasks'), null);
+  assert.ok(localStorage.getItem('DailyTrack_localStorageMigrated'));
+});
+
+test('clearing all data drops queued uploads of the old app and leaves tombstones', async () => {
+  await db.addToSyncQueue('task', { id: '1', title: 'Pay rent' });
+
+  await repository.clearAll();
+
+  assert.deepEqual(await db.getAll('syncQueue'), []);
+  assert.equal(await db.get('tasks', '1'), undefined);
+  assert.ok(await db.get('tombstones', 'tasks:1'));
+});
@@ -0,0 +1,62 @@
+// Markdown rendering of user text
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderInline, renderMarkdown, stripMarkdown, toggleTaskItem } from '../markdown.js';
+
+const link = (href, label) => `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('HTML in the text is escaped', () => {
+  assert.equal(renderInline('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(renderInline('<img src=x onerror="alert(1)">'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+  assert.equal(renderMarkdown('# <b>Hi</b>\n\n```\n<script>\n```'), '<h3>&lt;b&gt;Hi&lt;/b&gt;</h3><pre><code>&lt;script&gt;</code></pre>');
+});
+
+test('links cannot break out of their attribute', () => {
+  assert.equal(renderInline('[a](https://x.com/"onmouseover="alert(1))'), link('https://x.com/&quot;onmouseover=&quot;alert(1)', 'a'));
+  assert.equal(renderInline("[a](https://x.com/'><script>)"), link('https://x.com/&#39;&gt;&lt;script&gt;', 'a'));
+  assert.equal(renderInline('[" onclick="alert(1)](https://a.b)'), link('https://a.b', '&quot; onclick=&quot;alert(1)'));
+});
+
+test('links with other schemes keep only their text', () => {
+  assert.equal(renderInline('[x](javascript:alert(1))'), 'x');
+  assert.equal(renderInline('see [x](JaVaScRiPt:alert(1)) now'), 'see x now');
+  assert.equal(renderInline('[x](data:text/html,<script>alert(1)</script>)'), 'x');
+  assert.equal(renderInline('[x](vbscript:msgbox)'), 'x');
+  assert.equal(stripMarkdown('see [x](javascript:alert(1)) now'), 'see x now');
+});
+
+test('safe links keep parentheses, underscores and asterisks in the URL', () => {
+  assert.equal(renderInline('[wiki](https://en.wikipedia.org/wiki/Foo_(bar)) after'),
+    `${link('https://en.wikipedia.org/wiki/Foo_(bar)', 'wiki')} after`);
+  assert.equal(renderInline('[**b**](https://a.b/x_y_z*)'), link('https://a.b/x_y_z*', '<strong>b</strong>'));
+  assert.equal(renderInline('[mail](mailto:me@example.com?a=1&b=2)'), link('mailto:me@example.com?a=1&amp;b=2', 'mail'));
+});
+
+test('emphasis nests', () => {
+  assert.equal(renderInline('**bold *it* more**'), '<strong>bold <em>it</em> more</strong>');
+  assert.equal(renderInline('*a **b** c*'), '<em>a <strong>b</strong> c</em>');
+  assert.equal(renderInline('***both***'), '<strong><em>both</em></strong>');
+  assert.equal(renderInline('~~**gone**~~ snake_case_name'), '<del><strong>gone</strong></del> snake_case_name');
+  assert.equal(renderInline('`*code*`'), '<code>*code*</code>');
+});
+
+test('task checkboxes point at their source line', () => {
+  const source = '# Today\r\n\r\n```\n- [ ] not a task\n```\n- [ ] Write\n  - [x] Read';
+  const html = renderMarkdown(source, { interactive: true });
+
+  assert.match(html, /<input type="checkbox" data-line="5"> Write/);
+  assert.match(html, /<input type="checkbox" checked data-line="6"> Read/);
+  assert.doesNotMatch(html, /data-line="3"/);
+  assert.match(renderMarkdown(source), /<input type="checkbox" disabled> Write/);
+
+  const lines = toggleTaskItem(source, 5, true).split('\n');
+  assert.equal(lines[5], '- [x] Write');
+  assert.equal(toggleTaskItem(source, 6, false).split('\n')[6], '  - [ ] Read');
+});
+
+test('toggling a line that is no task changes nothing', () => {
+  const source = '- [ ] Write\nplain';
+  assert.equal(toggleTaskItem(source, 1, true), source);
+  assert.equal(toggleTaskItem(source, 7, true), source);
+  assert.equal(toggleTaskItem(source, -1, true), source);
+});
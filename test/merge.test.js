@@ -0,0 +1,49 @@
+// Field-level merging of synced records
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRecords, unionFields } from '../merge.js';
+import { withValue } from '../habits.js';
+
+const today = '2026-10-18';
+const base = withValue({
+  id: 'h1',
+  name: 'Read',
+  frequency: 'daily',
+  completionHistory: [],
+  createdAt: '2026-10-01T08:00:00.000Z'
+}, '2026-10-16', 1, today);
+
+test('habit completions from both devices merge without conflicts', () => {
+  const local = withValue(base, '2026-10-17', 1, today);
+  const remote = withValue(base, '2026-10-18', 1, today);
+
+  const { merged, conflicts } = mergeRecords(base, local, remote, 'habits');
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.completionHistory, ['2026-10-16', '2026-10-17', '2026-10-18']);
+  assert.equal(merged.lastCompleted, '2026-10-18');
+  assert.equal(merged.longestStreak, 3);
+});
+
+test('streaks are recomputed after a union without a base', () => {
+  const local = withValue(base, '2026-10-17', 1, today);
+  const remote = withValue(base, '2026-10-15', 1, today);
+
+  const merged = unionFields('habits', remote, local);
+
+  assert.deepEqual(merged.completionHistory, ['2026-10-15', '2026-10-16', '2026-10-17']);
+  assert.equal(merged.lastCompleted, '2026-10-17');
+  assert.equal(merged.longestStreak, 3);
+});
+
+test('a field changed differently on both sides is a conflict', () => {
+  const { merged, conflicts } = mergeRecords(
+    { id: 't1', title: 'Pay rent' },
+    { id: 't1', title: 'Pay rent today' },
+    { id: 't1', title: 'Pay the rent' },
+    'tasks'
+  );
+
+  assert.deepEqual(conflicts.map(conflict => conflict.field), ['title']);
+  assert.equal(merged.title, 'Pay rent today');
+});
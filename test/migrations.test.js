@@ -0,0 +1,171 @@
+// Upgrade paths of DailyTrackDB, run against fake-indexeddb
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { DailyTrackDB } from '../db.js';
+import { LATEST_VERSION, MIGRATIONS } from '../migrations.js';
+import { WATER_HABIT_ID } from '../habits.js';
+
+console.log = () => {};
+
+// Opens `name` at `version` with a raw upgrade handler, for building
+// databases the way older releases left them
+function openRaw(indexedDB, name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(event.target.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function putAll(database, storeName, records) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, 'readwrite');
+    records.forEach(record => transaction.objectStore(storeName).put(record));
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function openAt(indexedDB, version) {
+  const database = new DailyTrackDB({ dbName: 'DailyTrackDB', indexedDB, version });
+  await database.init();
+  return database;
+}
+
+test('every step runs in order up to the latest version', () => {
+  const versions = MIGRATIONS.map(step => step.version);
+  assert.deepEqual(versions, versions.map((_, index) => index + 1));
+  assert.equal(LATEST_VERSION, versions.length);
+});
+
+test('a fresh database gets every store', async () => {
+  const database = await openAt(new IDBFactory(), LATEST_VERSION);
+  const stores = Array.from(database.db.objectStoreNames);
+
+  ['tasks', 'expenses', 'habits', 'journal', 'settings', 'syncQueue', 'accounts', 'syncBase', 'tombstones']
+    .forEach(name => assert.ok(stores.includes(name), name));
+  assert.equal(database.db.version, LATEST_VERSION);
+  database.db.close();
+});
+
+test('a v3 database is upgraded with every backfill applied', async () => {
+  const indexedDB = new IDBFactory();
+  const old = await openAt(indexedDB, 3);
+  await putAll(old.db, 'habits', [
+    { id: 'h1', name: 'Read', frequency: 'daily', completionHistory: ['2026-10-01'], createdAt: '2026-09-01T08:00:00.000Z' }
+  ]);
+  await putAll(old.db, 'expenses', [
+    { id: 'e1', amount: 12, category: 'food', payment: 'card', date: '2026-09-05' },
+    { id: 'e2', amount: 4, category: 'food', payment: 'card', date: '2026-09-02' },
+    { id: 'e3', amount: 9, category: 'fun', payment: 'cash', date: '2026-09-10' }
+  ]);
+  await putAll(old.db, 'settings', [
+    { id: 'general', defaultCurrency: 'EUR', waterGoal: 6 },
+    { id: 'waterIntake', date: '2026-10-01', glasses: 3, goal: 6 }
+  ]);
+  await putAll(old.db, 'activityLog', [
+    { id: 'a1', action: 'Task added', type: 'info', timestamp: '2026-09-03T10:00:00.000Z' }
+  ]);
+  old.db.close();
+
+  const database = await openAt(indexedDB, LATEST_VERSION);
+
+  const habit = await database.get('habits', 'h1');
+  assert.equal(habit.updatedAt, '2026-09-01T08:00:00.000Z');
+  assert.equal(habit.synced, false);
+  assert.deepEqual(habit.values, { '2026-10-01': 1 });
+
+  const water = await database.get('habits', WATER_HABIT_ID);
+  assert.equal(water.target, 6);
+  assert.deepEqual(water.values, { '2026-10-01': 3 });
+  assert.equal(await database.get('settings', 'waterIntake'), undefined);
+
+  const expense = await database.get('expenses', 'e1');
+  assert.equal(expense.currency, 'EUR');
+  assert.equal(expense.synced, false);
+  assert.ok(expense.updatedAt);
+
+  const card = await database.get('accounts', 'card');
+  assert.equal(card.openingDate, '2026-09-02');
+  assert.equal(card.currency, 'EUR');
+  assert.ok(card.updatedAt);
+  assert.equal(card.synced, false);
+  assert.ok(await database.get('accounts', 'cash'));
+
+  const activity = await database.get('activityLog', 'a1');
+  assert.equal(activity.updatedAt, '2026-09-03T10:00:00.000Z');
+  assert.equal(activity.synced, false);
+
+  const settings = await database.get('settings', 'general');
+  assert.ok(settings.updatedAt);
+  assert.equal(settings.synced, false);
+  database.db.close();
+});
+
+test('a database created by the old service worker is upgraded', async () => {
+  const indexedDB = new IDBFactory();
+  // The schema the service worker used to create at its own v2
+  const old = await openRaw(indexedDB, 'DailyTrackDB', 2, (database) => {
+    const tasks = database.createObjectStore('tasks', { keyPath: 'id' });
+    tasks.createIndex('by-date', 'createdAt');
+    tasks.createIndex('by-sync', 'sync');
+    database.createObjectStore('expenses', { keyPath: 'id' }).createIndex('by-date', 'date');
+    database.createObjectStore('habits', { keyPath: 'id' }).createIndex('by-streak', 'currentStreak');
+    database.createObjectStore('journal', { keyPath: 'id' }).createIndex('by-date', 'date');
+    database.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
+  });
+  await putAll(old, 'tasks', [
+    { id: 't1', title: 'Pay rent', sync: 'synced', createdAt: '2026-09-01T08:00:00.000Z' },
+    { id: 't2', title: 'Call mum', sync: 'pending' }
+  ]);
+  await putAll(old, 'habits', [{ id: 'h1', name: 'Run', completionHistory: [] }]);
+  old.close();
+
+  const database = await openAt(indexedDB, LATEST_VERSION);
+  const tasks = database.db.transaction('tasks').objectStore('tasks');
+  assert.ok(!tasks.indexNames.contains('by-sync'));
+  assert.ok(tasks.indexNames.contains('by-updatedAt'));
+  assert.ok(database.db.objectStoreNames.contains('settings'));
+
+  const [paid, call] = await Promise.all([database.get('tasks', 't1'), database.get('tasks', 't2')]);
+  assert.equal(paid.synced, true);
+  assert.equal(paid.sync, undefined);
+  assert.equal(paid.updatedAt, '2026-09-01T08:00:00.000Z');
+  assert.equal(call.synced, false);
+  assert.ok(call.updatedAt);
+
+  const habit = await database.get('habits', 'h1');
+  assert.ok(habit.updatedAt);
+  assert.equal(habit.synced, false);
+  assert.deepEqual(habit.values, {});
+  database.db.close();
+});
+
+test('a failing step rolls the upgrade back', async () => {
+  const indexedDB = new IDBFactory();
+  const old = await openAt(indexedDB, LATEST_VERSION);
+  old.db.close();
+
+  const failing = {
+    version: LATEST_VERSION + 1,
+    description: 'Broken step',
+    migrate() {
+      throw new Error('broken');
+    }
+  };
+  MIGRATIONS.push(failing);
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(openAt(indexedDB, LATEST_VERSION + 1));
+  } finally {
+    MIGRATIONS.pop();
+    console.error = error;
+  }
+
+  const database = await openAt(indexedDB, LATEST_VERSION);
+  assert.equal(database.db.version, LATEST_VERSION);
+  database.db.close();
+});
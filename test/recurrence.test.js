@@ -0,0 +1,66 @@
+// Recurrence rules for repeating tasks and expenses
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextOccurrence, occurrencesBetween } from '../recurrence.js';
+
+test('daily series repeat every interval days from their start', () => {
+  assert.equal(nextOccurrence({ freq: 'daily' }, '2026-10-01', '2026-10-18'), '2026-10-19');
+  assert.equal(nextOccurrence({ freq: 'daily', interval: 3 }, '2026-10-01', '2026-10-18'), '2026-10-19');
+  assert.equal(nextOccurrence({ freq: 'daily' }, '2026-10-20', '2026-10-18'), '2026-10-20');
+});
+
+test('weekly series repeat on their weekdays and keep the week parity', () => {
+  // 2026-10-01 is a Thursday, so that week's Monday and Wednesday are skipped
+  assert.deepEqual(
+    occurrencesBetween({ freq: 'weekly', byWeekday: [1, 3] }, '2026-10-01', '2026-10-01', '2026-10-18'),
+    ['2026-10-05', '2026-10-07', '2026-10-12', '2026-10-14']
+  );
+  assert.deepEqual(
+    occurrencesBetween({ freq: 'weekly', interval: 2, byWeekday: [3, 1] }, '2026-10-01', '2026-10-01', '2026-10-31'),
+    ['2026-10-12', '2026-10-14', '2026-10-26', '2026-10-28']
+  );
+});
+
+test('monthly series on the 31st fall on the last day of shorter months', () => {
+  assert.deepEqual(
+    occurrencesBetween({ freq: 'monthly', byMonthDay: 31 }, '2026-01-31', '2026-01-01', '2026-05-31'),
+    ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']
+  );
+  assert.equal(nextOccurrence({ freq: 'monthly', byMonthDay: 31 }, '2024-01-31', '2024-01-31'), '2024-02-29');
+});
+
+test('count and until end a series', () => {
+  assert.equal(nextOccurrence({ freq: 'daily', count: 3 }, '2026-10-01', '2026-10-02'), '2026-10-03');
+  assert.equal(nextOccurrence({ freq: 'daily', count: 3 }, '2026-10-01', '2026-10-03'), null);
+  assert.deepEqual(
+    occurrencesBetween({ freq: 'weekly', until: '2026-10-20' }, '2026-10-01', '2026-10-01', '2026-12-31'),
+    ['2026-10-01', '2026-10-08', '2026-10-15']
+  );
+});
+
+test('long-running series keep going', () => {
+  assert.equal(nextOccurrence({ freq: 'daily' }, '2000-01-01', '2026-10-18'), '2026-10-19');
+  assert.equal(nextOccurrence({ freq: 'weekly', byWeekday: [1, 3] }, '1990-01-01', '2026-10-18'), '2026-10-19');
+  assert.equal(nextOccurrence({ freq: 'monthly', byMonthDay: 15 }, '1970-01-15', '2026-10-18'), '2026-11-15');
+  assert.equal(nextOccurrence({ freq: 'yearly' }, '1900-02-28', '2026-10-18'), '2027-02-28');
+});
+
+test('counted series end at the same date however far in they are asked about', () => {
+  const rules = [
+    [{ freq: 'weekly', byWeekday: [1, 3], count: 2000 }, '2000-01-05'],
+    [{ freq: 'daily', interval: 2, count: 4000 }, '2001-03-04'],
+    [{ freq: 'monthly', byWeekday: [5], bySetPos: 5, count: 12 }, '2020-01-31'],
+    [{ freq: 'monthly', byMonthDay: 10, count: 30 }, '2020-01-20']
+  ];
+
+  rules.forEach(([rule, start]) => {
+    const all = occurrencesBetween(rule, start, start, '2100-01-01');
+    assert.equal(all.length, rule.count);
+
+    const last = all[all.length - 1];
+    const later = occurrencesBetween(rule, start, all[all.length - 3], '2100-01-01');
+    assert.deepEqual(later, all.slice(-3));
+    assert.equal(nextOccurrence(rule, start, all[all.length - 2]), last);
+    assert.equal(nextOccurrence(rule, start, last), null);
+  });
+});
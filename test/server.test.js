@@ -0,0 +1,146 @@
+// Reference sync server, run as a child process on a scratch data directory
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const PORT = 18000 + (process.pid % 1000);
+const BASE = `http://localhost:${PORT}`;
+const TOKEN = 'secret';
+
+let dataDir;
+let server;
+
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [new URL('../server/server.mjs', import.meta.url).pathname], {
+      env: { ...process.env, PORT: String(PORT), DATA_DIR: dataDir, DAILYTRACK_TOKEN: TOKEN },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('listening')) resolve(child);
+    });
+    child.on('exit', (code) => reject(new Error(`Server exited with ${code}`)));
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', resolve);
+    server.kill();
+  });
+}
+
+async function request(method, path, body, token = TOKEN) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${BASE}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+const sync = async (since, device) => (await request('GET', `/api/sync?since=${since}&device=${device}`)).body;
+
+before(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), 'dailytrack-server-'));
+  server = await startServer();
+});
+
+after(async () => {
+  await stopServer();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test('requests need the access token', async () => {
+  assert.equal((await request('GET', '/api/health', undefined, null)).status, 401);
+  assert.equal((await request('GET', '/api/health', undefined, 'wrong')).status, 401);
+  assert.deepEqual((await request('GET', '/api/health')).body, { name: 'DailyTrack reference server', version: 1 });
+});
+
+test('records are validated', async () => {
+  const invalid = [
+    { id: 7, title: 'Numeric id', updatedAt: '2026-10-18T09:00:00.000Z' },
+    { id: '', title: 'Empty id', updatedAt: '2026-10-18T09:00:00.000Z' },
+    { id: 'v1', title: 'No date' },
+    { id: 'v2', updatedAt: '2026-10-18T09:00:00.000Z' }
+  ];
+
+  for (const record of invalid) {
+    assert.equal((await request('POST', '/api/tasks', record)).status, 400);
+  }
+  assert.equal((await request('DELETE', '/api/tasks', { id: 7 })).status, 400);
+});
+
+test('the newer version of a record wins and deletions leave tombstones', async () => {
+  const task = { id: 't1', title: 'Pay rent', updatedAt: '2026-10-18T09:00:00.000Z', synced: false };
+  assert.deepEqual((await request('POST', '/api/tasks', task)).body, { record: { id: 't1', title: 'Pay rent', updatedAt: task.updatedAt } });
+
+  const older = await request('POST', '/api/tasks', { ...task, title: 'Old', updatedAt: '2026-10-17T09:00:00.000Z' });
+  assert.equal(older.body.record.title, 'Pay rent');
+
+  // An edit made after the deletion wins over it
+  const kept = await request('DELETE', '/api/tasks', { id: 't1', deletedAt: '2026-10-18T08:00:00.000Z' });
+  assert.deepEqual(kept.body, { deleted: false, record: older.body.record });
+
+  assert.deepEqual((await request('DELETE', '/api/tasks', { id: 't1', deletedAt: '2026-10-18T10:00:00.000Z' })).body, { deleted: true });
+  assert.deepEqual((await request('POST', '/api/tasks', task)).body, { record: null, deletedAt: '2026-10-18T10:00:00.000Z' });
+
+  const changes = await sync(0, 'reader');
+  assert.deepEqual(changes.deleted.tasks, [{ id: 't1', deletedAt: '2026-10-18T10:00:00.000Z' }]);
+  assert.ok(!changes.tasks.some(record => record.id === 't1'));
+
+  const edited = { ...task, title: 'Pay rent again', updatedAt: '2026-10-18T11:00:00.000Z' };
+  assert.equal((await request('POST', '/api/tasks', edited)).body.record.title, 'Pay rent again');
+});
+
+test('ids that name Object.prototype members are ordinary records', async () => {
+  for (const id of ['__proto__', 'constructor']) {
+    const task = { id, title: `Task ${id}`, updatedAt: '2026-10-18T09:00:00.000Z' };
+    assert.deepEqual((await request('POST', '/api/tasks', task)).body, { record: task });
+    assert.deepEqual((await request('POST', '/api/tasks', { ...task, updatedAt: '2026-10-01T09:00:00.000Z' })).body, { record: task });
+  }
+
+  // And they survive a restart, which reads them back from the data file
+  await stopServer();
+  server = await startServer();
+  const ids = (await sync(0, 'reader')).tasks.map(record => record.id);
+  assert.ok(ids.includes('__proto__'));
+  assert.ok(ids.includes('constructor'));
+
+  assert.deepEqual((await request('DELETE', '/api/tasks', { id: '__proto__', deletedAt: '2026-10-18T10:00:00.000Z' })).body, { deleted: true });
+  assert.deepEqual((await sync(0, 'reader')).deleted.tasks.find(tombstone => tombstone.id === '__proto__'),
+    { id: '__proto__', deletedAt: '2026-10-18T10:00:00.000Z' });
+});
+
+test('tombstones are purged once every device has seen them, and stale devices get a full resync', async () => {
+  const first = await sync(0, 'phone');
+  const second = await sync(0, 'laptop');
+  await request('POST', '/api/tasks', { id: 'p1', title: 'Purged', updatedAt: '2026-10-18T09:00:00.000Z' });
+  await request('DELETE', '/api/tasks', { id: 'p1', deletedAt: '2026-10-18T10:00:00.000Z' });
+
+  const phone = await sync(first.serverTime, 'phone');
+  assert.deepEqual(phone.deleted.tasks.map(tombstone => tombstone.id), ['p1']);
+  await sync(phone.serverTime, 'phone');
+  await sync(phone.serverTime, 'reader');
+
+  // The laptop has not seen the deletion yet, so the tombstone stays
+  const laptop = await sync(second.serverTime, 'laptop');
+  assert.equal(laptop.full, false);
+  assert.deepEqual(laptop.deleted.tasks.map(tombstone => tombstone.id), ['p1']);
+
+  // Once it asks for changes after that, nobody needs the tombstone
+  const later = await sync(laptop.serverTime, 'laptop');
+  assert.deepEqual(later.deleted.tasks, []);
+  assert.equal(later.full, false);
+
+  const stale = await sync(first.serverTime, 'tablet');
+  assert.equal(stale.full, true);
+  assert.deepEqual(stale.deleted.tasks, []);
+  assert.ok(stale.tasks.some(record => record.id === 't1'));
+  assert.ok(!stale.tasks.some(record => record.id === 'p1'));
+});
@@ -0,0 +1,69 @@
+// Split and shared expenses
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDefaultCurrency, setExchangeRates } from '../currency.js';
+import { ME, computeShares, getDebts, getNetBalances, normalizeSharing, normalizeSplits } from '../splits.js';
+
+setDefaultCurrency('USD');
+setExchangeRates([{ date: '2026-10-01', from: 'EUR', to: 'USD', rate: 1.5 }]);
+
+const round = (value) => Math.round(value * 100) / 100;
+const balances = (expenses, settlements) =>
+  Object.fromEntries(Array.from(getNetBalances(expenses, settlements), ([person, amount]) => [person, round(amount)]));
+
+const dinner = {
+  id: 'e1', amount: 100, category: 'food', date: '2026-10-02',
+  shared: { paidBy: ME, method: 'equal', shares: [{ person: ME }, { person: 'Alex' }, { person: 'Sam' }] }
+};
+const taxi = {
+  id: 'e2', amount: 30, category: 'transportation', date: '2026-10-03',
+  shared: { paidBy: 'Alex', method: 'exact', shares: [{ person: ME, value: 20 }, { person: 'Alex', value: 10 }] }
+};
+
+test('uneven shares keep every cent', () => {
+  assert.deepEqual(computeShares(100, dinner.shared).map(share => share.amount), [33.34, 33.33, 33.33]);
+  assert.deepEqual(computeShares(0.05, { method: 'equal', shares: [{ person: ME }, { person: 'Alex' }] }).map(share => share.amount), [0.03, 0.02]);
+  assert.deepEqual(computeShares(10.01, { method: 'percent', shares: [{ person: ME, value: 70 }, { person: 'Alex', value: 30 }] })
+    .map(share => share.amount), [7.01, 3]);
+});
+
+test('shares and splits that do not add up are rejected', () => {
+  assert.throws(() => normalizeSharing({ method: 'percent', shares: [{ person: ME, value: 60 }, { person: 'Alex', value: 30 }] }, 50), /90%/);
+  assert.throws(() => normalizeSharing({ method: 'exact', shares: [{ person: ME, value: 20 }, { person: 'Alex', value: 20 }] }, 50), /40/);
+  assert.equal(normalizeSharing({ method: 'equal', shares: [{ person: ME }] }, 50), null);
+  assert.throws(() => normalizeSplits([{ category: 'food', amount: 30 }, { category: 'fun', amount: 10 }], 50), /40/);
+});
+
+test('who owes what across uneven shared expenses', () => {
+  assert.deepEqual(balances([dinner, taxi]), { [ME]: 46.66, Alex: -13.33, Sam: -33.33 });
+
+  const debts = getDebts([dinner, taxi]);
+  assert.deepEqual(debts, [
+    { from: 'Sam', to: ME, amount: 33.33 },
+    { from: 'Alex', to: ME, amount: 13.33 }
+  ]);
+});
+
+test('settlements reduce balances until everyone is even', () => {
+  const partly = [{ id: 's1', from: 'Sam', to: ME, amount: 20, date: '2026-10-04' }];
+  assert.deepEqual(balances([dinner, taxi], partly), { [ME]: 26.66, Alex: -13.33, Sam: -13.33 });
+
+  const settled = [
+    ...partly,
+    { id: 's2', from: 'Sam', to: ME, amount: 13.33, date: '2026-10-05' },
+    { id: 's3', from: 'Alex', to: ME, amount: 13.33, date: '2026-10-05' }
+  ];
+  assert.deepEqual(getDebts([dinner, taxi], settled), []);
+});
+
+test('shared expenses and settlements in other currencies count in the default one', () => {
+  const hotel = {
+    id: 'e3', amount: 30, currency: 'EUR', category: 'travel', date: '2026-10-02',
+    shared: { paidBy: 'Alex', method: 'equal', shares: [{ person: ME }, { person: 'Alex' }] }
+  };
+  const unknown = { ...hotel, id: 'e4', currency: 'JPY', amount: 3000 };
+  const settlement = { id: 's1', from: ME, to: 'Alex', amount: 10, currency: 'EUR', date: '2026-10-03' };
+
+  assert.deepEqual(balances([hotel, unknown]), { Alex: 22.5, [ME]: -22.5 });
+  assert.deepEqual(getDebts([hotel, unknown], [settlement]), [{ from: ME, to: 'Alex', amount: 7.5 }]);
+});
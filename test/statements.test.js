@@ -0,0 +1,88 @@
+// Bank statement import
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findDuplicates, guessCsvMapping, learnRule, parseAmount, parseCsv, parseCsvStatement, parseOfx, suggestCategory
+} from '../statements.js';
+
+test('CSV statements are mapped from their header row', () => {
+  const rows = parseCsv([
+    'Date;Description;Amount',
+    '03.10.2026;"COFFEE HOUSE; Main St";-4,50',
+    '15.10.2026;"Say ""hi"" shop";-1.234,56',
+    '20.10.2026;SALARY;2500,00'
+  ].join('\r\n'));
+  const mapping = guessCsvMapping(rows);
+
+  assert.equal(mapping.hasHeader, true);
+  assert.equal(mapping.dateFormat, 'dmy');
+  assert.deepEqual(parseCsvStatement(rows, mapping), [
+    { date: '2026-10-03', amount: -4.5, description: 'COFFEE HOUSE; Main St' },
+    { date: '2026-10-15', amount: -1234.56, description: 'Say "hi" shop' },
+    { date: '2026-10-20', amount: 2500, description: 'SALARY' }
+  ]);
+});
+
+test('CSV statements with debit and credit columns', () => {
+  const rows = parseCsv('Posted,Payee,Debit,Credit\n10/03/2026,Grocery Market,12.00,\n10/04/2026,Refund,,3.00\n');
+  const mapping = guessCsvMapping(rows);
+
+  assert.deepEqual(parseCsvStatement(rows, mapping).map(row => [row.date, row.amount]), [
+    ['2026-10-03', -12],
+    ['2026-10-04', 3]
+  ]);
+});
+
+test('amounts in the usual bank notations', () => {
+  assert.equal(parseAmount('(12.00)'), -12);
+  assert.equal(parseAmount('€ 7,99'), 7.99);
+  assert.equal(parseAmount('1,234.56'), 1234.56);
+  assert.equal(parseAmount('n/a'), null);
+});
+
+test('OFX statements in SGML form', () => {
+  const { currency, transactions } = parseOfx([
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>eur',
+    '<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261003120000[0:GMT]<TRNAMT>-12.50<FITID>A1<NAME>CAFE &amp; BAR',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261004<TRNAMT>-3.00<FITID>A2<MEMO>Parking   lot',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+  ].join('\n'));
+
+  assert.equal(currency, 'EUR');
+  assert.deepEqual(transactions, [
+    { date: '2026-10-03', amount: -12.5, description: 'CAFE & BAR', importId: 'A1' },
+    { date: '2026-10-04', amount: -3, description: 'Parking lot', importId: 'A2' }
+  ]);
+});
+
+test('duplicates are matched by bank id, else once per existing expense', () => {
+  const existing = [
+    { date: '2026-10-03', amount: 4.5, description: 'Coffee  House', importId: null },
+    { date: '2026-10-05', amount: 9, importId: 'B7' },
+    { date: '2026-10-06', amount: 20 }
+  ];
+  const transactions = [
+    { date: '2026-10-03', amount: -4.5, description: 'COFFEE HOUSE' },
+    { date: '2026-10-03', amount: -4.5, description: 'COFFEE HOUSE' },
+    { date: '2026-10-05', amount: -9, description: 'Book store', importId: 'B7' },
+    { date: '2026-10-06', amount: -20, description: 'Taxi' }
+  ];
+
+  assert.deepEqual(findDuplicates(transactions, existing), [true, false, true, false]);
+});
+
+test('categories come from learned rules, then whole-word keywords', () => {
+  const rule = learnRule([], 'AMAZON MKTP US*2K4 #1234', 'education');
+  assert.equal(rule.pattern, 'amazon mktp us');
+  assert.equal(suggestCategory('Amazon Mktp US*99', [rule]).category, 'education');
+
+  assert.equal(suggestCategory('Monthly RENT Oct', []).category, 'bills');
+  assert.equal(suggestCategory('Shell Station 42', []).category, 'transportation');
+  assert.equal(suggestCategory('Groceries Plus', []).category, 'food');
+  assert.equal(suggestCategory('Parenting Magazine', []).category, 'other');
+  assert.equal(suggestCategory('Torrent Tracker', []).category, 'other');
+  assert.equal(suggestCategory('Las Vegas Hotel', []).category, 'other');
+  assert.equal(suggestCategory('Shellfish Bar', [], 'food').category, 'food');
+});
@@ -0,0 +1,84 @@
+// Sync queue retries and dead letters
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../db.js';
+import { setSyncConfig } from '../api.js';
+import { syncManager } from '../sync.js';
+
+globalThis.navigator = { onLine: true };
+console.log = () => {};
+console.error = () => {};
+
+setSyncConfig({ syncEndpoint: 'http://localhost:8799' });
+await db.init();
+
+test('a queued item of an unknown type becomes a dead letter', async () => {
+  const id = await db.addToSyncQueue('calendar-event', { id: 'c1' });
+  const deadLetters = [];
+  syncManager.on('deadLetter', item => deadLetters.push(item));
+
+  await syncManager.syncPendingItems();
+
+  const item = await db.get('syncQueue', id);
+  assert.equal(item.status, 'failed');
+  assert.equal(item.nextAttemptAt, null);
+  assert.match(item.lastError, /calendar-event/);
+  assert.deepEqual(deadLetters.map(letter => letter.id), [id]);
+  assert.deepEqual(await db.getPendingSyncItems(), []);
+});
+
+test('items that are already due do not shorten the wait for the next sync', async (t) => {
+  const id = await db.addToSyncQueue('calendar-event', { id: 'c2' });
+  let syncs = 0;
+  t.mock.method(syncManager, 'syncAll', async () => {
+    syncs++;
+    return true;
+  });
+  mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => {
+    mock.timers.reset();
+    clearTimeout(syncManager.syncTimer);
+  });
+
+  await syncManager.scheduleNextSync();
+  // Only the first timer is looked at
+  t.mock.method(syncManager, 'scheduleNextSync', async () => {});
+  mock.timers.tick(60 * 1000);
+  assert.equal(syncs, 0);
+
+  mock.timers.tick(syncManager.syncInterval);
+  assert.equal(syncs, 1);
+  await db.delete('syncQueue', id);
+});
+
+test('the next sync runs when a queued retry is due', async (t) => {
+  const now = Date.now();
+  const id = await db.add('syncQueue', {
+    type: 'task',
+    data: { id: 't1' },
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    attempts: 1,
+    nextAttemptAt: new Date(now + 30 * 1000).toISOString()
+  });
+  let syncs = 0;
+  t.mock.method(syncManager, 'syncAll', async () => {
+    syncs++;
+    return true;
+  });
+  mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => {
+    mock.timers.reset();
+    clearTimeout(syncManager.syncTimer);
+  });
+
+  await syncManager.scheduleNextSync();
+  t.mock.method(syncManager, 'scheduleNextSync', async () => {});
+  mock.timers.tick(20 * 1000);
+  assert.equal(syncs, 0);
+
+  mock.timers.tick(15 * 1000);
+  assert.equal(syncs, 1);
+  await db.delete('syncQueue', id);
+});